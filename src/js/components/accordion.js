@@ -1,32 +1,118 @@
 /**
  * Accordion Component
- * Handles expand/collapse functionality for accordion items
+ * Handles expand/collapse functionality for accordion items, with hash deep
+ * links, remembered open items and a search filter
  */
 
+import Cleanup from '../core/cleanup.js';
+import { getInstance, removeInstance, setInstance } from '../core/instances.js';
+import { parseOptions } from '../core/options.js';
+import { getStore } from '../core/storage.js';
+
+let accordionCount = 0;
+
+// Lowercase and strip accents so "cafe" finds "Café"
+function normalize(value) {
+    return value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
 class Accordion {
+    static NAME = 'Accordion';
+
+    // Search labels and messages, override to localize; {count} is replaced
+    static strings = {
+        search: 'Search',
+        placeholder: 'Search questions…',
+        result: '1 result',
+        results: '{count} results',
+        empty: 'No matching questions.'
+    };
+
+    static defaults = {
+        allowMultiple: false,
+        // Keep at least one item open; the open item cannot be collapsed
+        alwaysOpen: false,
+        // aria-level for headers that are not heading elements
+        headingLevel: 3,
+        duration: 300,
+        // Open the item containing the #hash target and scroll to it
+        deepLink: true,
+        // Remember open items per accordion id (the element id by default)
+        persist: false,
+        id: '',
+        storage: 'local',
+        expires: 0,
+        // Filter input: a selector, or 'true' to create one before the accordion
+        search: '',
+        searchDelay: 150,
+        searchMinLength: 2,
+        highlightClass: 'accordion-highlight'
+    };
+
     constructor(element, options = {}) {
+        // One instance per element
+        const existing = getInstance(element, Accordion.NAME);
+        if (existing) return existing;
+
         this.element = element;
         this.options = {
-            allowMultiple: false,
-            duration: 300,
-            ...options
+            ...Accordion.defaults,
+            ...options,
+            ...parseOptions(element, Accordion.defaults)
         };
 
-        this.items = this.element.querySelectorAll('.accordion-item');
+        // data-accordion-search="#faq-search", or empty to create the field
+        if (!this.options.search && element.hasAttribute('data-accordion-search')) {
+            this.options.search = element.getAttribute('data-accordion-search') || 'true';
+        }
+
+        // Own items only, not those of nested accordions
+        this.items = Array.from(this.element.querySelectorAll('.accordion-item'))
+            .filter(item => item.closest('.accordion') === this.element);
+        this.changeQueued = false;
+        this.lastChanged = null;
+        this.searchInput = null;
+        this.searchSnapshot = null;
+        this.searchTimeout = null;
+        this.query = '';
+        this.cleanup = new Cleanup();
+
+        setInstance(this.element, Accordion.NAME, this);
         this.init();
     }
 
     init() {
-        this.items.forEach(item => {
+        const base = this.element.id || `accordion-${++accordionCount}`;
+        this.baseId = base;
+
+        this.items.forEach((item, index) => {
             const button = item.querySelector('.accordion-button');
             const collapse = item.querySelector('.accordion-collapse');
 
             if (button && collapse) {
-                button.addEventListener('click', (e) => {
+                this.cleanup.preserve(button, ['aria-expanded', 'aria-controls', 'aria-disabled', 'id']);
+                this.cleanup.preserve(collapse, ['aria-hidden', 'style', 'role', 'aria-labelledby', 'id']);
+
+                this.cleanup.on(button, 'click', (e) => {
                     e.preventDefault();
                     this.toggle(item);
                 });
 
+                // Link the header button and its panel
+                button.id = button.id || `${base}-header-${index}`;
+                collapse.id = collapse.id || `${base}-panel-${index}`;
+                button.setAttribute('aria-controls', collapse.id);
+                collapse.setAttribute('role', 'region');
+                collapse.setAttribute('aria-labelledby', button.id);
+
+                // The button must sit inside a heading
+                const header = button.closest('.accordion-header');
+                if (header && !/^H[1-6]$/.test(header.tagName) && !header.hasAttribute('role')) {
+                    this.cleanup.preserve(header, ['role', 'aria-level']);
+                    header.setAttribute('role', 'heading');
+                    header.setAttribute('aria-level', this.options.headingLevel);
+                }
+
                 // Set initial ARIA attributes
                 const isExpanded = !button.classList.contains('collapsed');
                 button.setAttribute('aria-expanded', isExpanded);
@@ -38,6 +124,484 @@ class Accordion {
                 }
             }
         });
+
+        // Up, Down, Home and End move between headers
+        this.cleanup.on(this.element, 'keydown', (e) => this.handleKeydown(e));
+
+        this.restore();
+
+        if (this.options.deepLink) {
+            this.openFromHash(false);
+            this.cleanup.on(window, 'hashchange', () => this.openFromHash(true));
+            this.cleanup.on(window, 'popstate', () => this.openFromHash(true));
+
+            // In-page links may change the URL without a hashchange (see
+            // SmoothScroll); capture so the item opens before it measures
+            this.cleanup.on(document, 'click', (e) => {
+                const link = e.target.closest('a[href^="#"]');
+                if (link) {
+                    this.openFromHash(true, link.getAttribute('href'), false);
+                }
+            }, true);
+        }
+
+        // Always one open: start with the first available item
+        if (this.options.alwaysOpen && !this.getOpenItems().length) {
+            const first = this.items.find(item => !this.isDisabled(item));
+            if (first) {
+                this.setExpanded(first, true);
+            }
+        }
+
+        this.syncDisabled();
+
+        if (this.options.search) {
+            this.initSearch();
+        }
+    }
+
+    /**
+     * Filter field with an empty state and a live result count
+     */
+    initSearch() {
+        let input = null;
+
+        if (this.options.search !== 'true' && this.options.search !== true) {
+            input = document.querySelector(this.options.search);
+        }
+
+        // Create the field before the accordion
+        if (!input) {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'accordion-search';
+
+            const label = document.createElement('label');
+            label.className = 'sr-only';
+            label.htmlFor = `${this.baseId}-search`;
+            label.textContent = Accordion.strings.search;
+
+            input = document.createElement('input');
+            input.type = 'search';
+            input.id = label.htmlFor;
+            input.placeholder = Accordion.strings.placeholder;
+            input.autocomplete = 'off';
+
+            wrapper.append(label, input);
+            this.element.before(wrapper);
+            this.cleanup.add(() => wrapper.remove());
+        }
+
+        this.cleanup.preserve(this.element, ['id']);
+        this.element.id = this.baseId;
+        this.cleanup.preserve(input, ['aria-controls']);
+        input.setAttribute('aria-controls', this.baseId);
+        this.searchInput = input;
+
+        this.emptyMessage = document.createElement('div');
+        this.emptyMessage.className = 'accordion-empty';
+        this.emptyMessage.hidden = true;
+        this.emptyMessage.textContent = Accordion.strings.empty;
+
+        this.searchStatus = document.createElement('div');
+        this.searchStatus.className = 'sr-only';
+        this.searchStatus.setAttribute('role', 'status');
+        this.searchStatus.setAttribute('aria-live', 'polite');
+
+        this.element.after(this.emptyMessage, this.searchStatus);
+        this.items.forEach(item => this.cleanup.preserve(item, ['hidden']));
+
+        this.cleanup.on(input, 'input', () => {
+            this.cleanup.clearTimeout(this.searchTimeout);
+            this.searchTimeout = this.cleanup.timeout(() => this.search(input.value), this.options.searchDelay);
+        });
+
+        // Escape clears the filter
+        this.cleanup.on(input, 'keydown', (e) => {
+            if (e.key === 'Escape' && input.value) {
+                e.preventDefault();
+                input.value = '';
+                this.search('');
+            }
+        });
+
+        this.cleanup.add(() => {
+            this.clearHighlights();
+            this.emptyMessage.remove();
+            this.searchStatus.remove();
+        });
+
+        if (input.value) {
+            this.search(input.value);
+        }
+    }
+
+    /**
+     * Show only the items whose header or body contain every word of the
+     * query, highlight the words and open the matches
+     *
+     * Clearing the query restores the items that were open before.
+     *
+     * @param {string} query Search text
+     * @returns {Array} Matching items
+     */
+    search(query) {
+        const value = String(query).trim();
+        const terms = value.length >= this.options.searchMinLength
+            ? normalize(value).split(/\s+/).filter(Boolean)
+            : [];
+
+        this.clearHighlights();
+
+        if (!terms.length) {
+            this.query = '';
+            this.items.forEach(item => {
+                item.hidden = false;
+            });
+            this.emptyMessage.hidden = true;
+            this.searchStatus.textContent = '';
+
+            // Back to the items that were open before searching; opening
+            // first, so an always-open accordion keeps one open
+            if (this.searchSnapshot) {
+                const snapshot = this.searchSnapshot;
+                this.searchSnapshot = null;
+                this.items.forEach(item => {
+                    if (!this.isExpanded(item) && snapshot.includes(item)) {
+                        this.open(item);
+                    }
+                });
+                this.items.forEach(item => {
+                    if (this.isExpanded(item) && !snapshot.includes(item) && this.canCollapse(item)) {
+                        this.close(item);
+                    }
+                });
+            }
+
+            this.dispatchSearch('', this.items);
+            return this.items;
+        }
+
+        if (!this.searchSnapshot) {
+            this.searchSnapshot = this.getOpenItems();
+        }
+        this.query = value;
+
+        const matches = this.items.filter(item => {
+            const text = normalize(item.textContent);
+            return terms.every(term => text.includes(term));
+        });
+
+        this.items.forEach(item => {
+            item.hidden = !matches.includes(item);
+        });
+
+        // Open the matches, or the first one when only one item may be open
+        const available = matches.filter(item => !this.isDisabled(item));
+        const toOpen = this.options.allowMultiple ? available : available.slice(0, 1);
+
+        if (!this.options.allowMultiple && toOpen.length && !this.isExpanded(toOpen[0])) {
+            this.closeAll();
+        }
+        toOpen.forEach(item => {
+            if (!this.isExpanded(item)) {
+                this.open(item);
+            }
+        });
+
+        matches.forEach(item => this.highlight(item, terms));
+
+        this.emptyMessage.hidden = matches.length > 0;
+        this.searchStatus.textContent = matches.length === 1
+            ? Accordion.strings.result
+            : Accordion.strings.results.replace('{count}', matches.length);
+
+        this.dispatchSearch(value, matches);
+        return matches;
+    }
+
+    dispatchSearch(query, matches) {
+        this.element.dispatchEvent(new CustomEvent('accordion:search', {
+            detail: { query, matches }
+        }));
+    }
+
+    /**
+     * Wrap occurrences of the terms in the item's text with <mark>
+     */
+    highlight(item, terms) {
+        const walker = document.createTreeWalker(item, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => (node.parentElement.closest('script, style') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+        });
+        const nodes = [];
+
+        while (walker.nextNode()) {
+            nodes.push(walker.currentNode);
+        }
+
+        nodes.forEach(node => {
+            const text = node.nodeValue;
+
+            // Match on the normalized text, mapping positions back to the original
+            let folded = '';
+            const offsets = [];
+            for (let i = 0; i < text.length; i++) {
+                const char = normalize(text[i]);
+                folded += char;
+                offsets.push(...Array(char.length).fill(i));
+            }
+            offsets.push(text.length);
+
+            const ranges = [];
+            terms.forEach(term => {
+                let index = folded.indexOf(term);
+                while (index > -1) {
+                    ranges.push([offsets[index], offsets[index + term.length]]);
+                    index = folded.indexOf(term, index + term.length);
+                }
+            });
+            if (!ranges.length) return;
+
+            // Merge overlapping matches of different terms
+            ranges.sort((a, b) => a[0] - b[0]);
+            const merged = [ranges[0]];
+            ranges.slice(1).forEach(range => {
+                const last = merged[merged.length - 1];
+                if (range[0] <= last[1]) {
+                    last[1] = Math.max(last[1], range[1]);
+                } else {
+                    merged.push(range);
+                }
+            });
+
+            const fragment = document.createDocumentFragment();
+            let position = 0;
+            merged.forEach(([start, end]) => {
+                if (start > position) {
+                    fragment.appendChild(document.createTextNode(text.slice(position, start)));
+                }
+                const mark = document.createElement('mark');
+                mark.className = this.options.highlightClass;
+                mark.textContent = text.slice(start, end);
+                fragment.appendChild(mark);
+                position = end;
+            });
+            if (position < text.length) {
+                fragment.appendChild(document.createTextNode(text.slice(position)));
+            }
+
+            node.replaceWith(fragment);
+        });
+    }
+
+    clearHighlights() {
+        this.element.querySelectorAll(`mark.${this.options.highlightClass}`).forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(document.createTextNode(mark.textContent));
+            parent.normalize();
+        });
+    }
+
+    handleKeydown(e) {
+        // Items hidden by the search filter are skipped
+        const buttons = this.items
+            .filter(item => !item.hidden)
+            .map(item => this.getParts(item).button)
+            .filter(button => button && !button.disabled);
+        const index = buttons.indexOf(e.target);
+        if (index === -1) return;
+
+        let target = null;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                target = buttons[(index + 1) % buttons.length];
+                break;
+
+            case 'ArrowUp':
+                target = buttons[index - 1 < 0 ? buttons.length - 1 : index - 1];
+                break;
+
+            case 'Home':
+                target = buttons[0];
+                break;
+
+            case 'End':
+                target = buttons[buttons.length - 1];
+                break;
+
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        target.focus();
+    }
+
+    /**
+     * Disabled items: .disabled or data-disabled on the item, or a disabled button
+     */
+    isDisabled(item) {
+        const { button } = this.getParts(item);
+        return item.classList.contains('disabled') || item.hasAttribute('data-disabled') || !!(button && button.disabled);
+    }
+
+    /**
+     * Whether an open item may be collapsed
+     */
+    canCollapse(item) {
+        return !this.options.alwaysOpen || this.getOpenItems().some(entry => entry !== item);
+    }
+
+    /**
+     * Mark disabled items, and the open item that cannot be collapsed, with aria-disabled
+     */
+    syncDisabled() {
+        this.items.forEach(item => {
+            const { button } = this.getParts(item);
+            if (!button) return;
+
+            const locked = this.isExpanded(item) && !this.canCollapse(item);
+            if (this.isDisabled(item) || locked) {
+                button.setAttribute('aria-disabled', 'true');
+            } else {
+                button.removeAttribute('aria-disabled');
+            }
+        });
+    }
+
+    getParts(item) {
+        return {
+            button: item.querySelector('.accordion-button'),
+            collapse: item.querySelector('.accordion-collapse')
+        };
+    }
+
+    isExpanded(item) {
+        const { button } = this.getParts(item);
+        return !!button && button.getAttribute('aria-expanded') === 'true';
+    }
+
+    /**
+     * Currently open items
+     */
+    getOpenItems() {
+        return Array.from(this.items).filter(item => this.isExpanded(item));
+    }
+
+    /**
+     * Stable key of an item for storage: its id, its panel id, or its index
+     */
+    getKey(item) {
+        const { collapse } = this.getParts(item);
+        return item.id || (collapse && collapse.id) || String(Array.from(this.items).indexOf(item));
+    }
+
+    /**
+     * Show or hide an item at once, without animation or events
+     */
+    setExpanded(item, expanded) {
+        const { button, collapse } = this.getParts(item);
+        if (!button || !collapse) return;
+
+        button.classList.toggle('collapsed', !expanded);
+        button.setAttribute('aria-expanded', expanded);
+        collapse.setAttribute('aria-hidden', !expanded);
+        collapse.classList.toggle('show', expanded);
+        collapse.style.display = expanded ? 'block' : 'none';
+        collapse.style.height = expanded ? 'auto' : '';
+        collapse.style.transition = '';
+
+        this.syncDisabled();
+    }
+
+    getStorageKey() {
+        const id = this.options.id || this.element.id;
+        return this.options.persist && id ? `kpf-accordion:${id}` : null;
+    }
+
+    /**
+     * Reopen the items remembered from an earlier visit
+     */
+    restore() {
+        const key = this.getStorageKey();
+        if (!key) return;
+
+        const keys = getStore(this.options.storage).get(key);
+        if (!Array.isArray(keys)) return;
+
+        this.items.forEach(item => this.setExpanded(item, keys.includes(this.getKey(item))));
+    }
+
+    save() {
+        const key = this.getStorageKey();
+        if (!key) return;
+
+        getStore(this.options.storage).set(key, this.getOpenItems().map(item => this.getKey(item)), this.options.expires);
+    }
+
+    /**
+     * Open the item holding the #hash target, e.g. #faq-shipping on an item,
+     * its panel or any element inside it
+     *
+     * @param {boolean} animate Animate and scroll smoothly (false on load)
+     * @param {string} hash Hash to follow, the current location's by default
+     * @param {boolean} scroll Scroll the item into view
+     */
+    openFromHash(animate = true, hash = window.location.hash, scroll = true) {
+        hash = hash.slice(1);
+        if (!hash) return;
+
+        let target = null;
+        try {
+            target = document.getElementById(decodeURIComponent(hash));
+        } catch (error) {
+            return;
+        }
+
+        const item = target && Array.from(this.items).find(entry => entry.contains(target));
+        if (!item) return;
+
+        if (!this.isExpanded(item)) {
+            if (animate) {
+                if (!this.options.allowMultiple) {
+                    this.closeAll();
+                }
+                this.open(item);
+            } else {
+                if (!this.options.allowMultiple) {
+                    this.items.forEach(entry => this.setExpanded(entry, false));
+                }
+                this.setExpanded(item, true);
+                this.save();
+            }
+        }
+
+        if (scroll && typeof item.scrollIntoView === 'function') {
+            item.scrollIntoView({ block: 'start', behavior: animate ? 'smooth' : 'auto' });
+        }
+    }
+
+    /**
+     * Announce the open items once per change, after related opens and closes
+     */
+    changed(item) {
+        this.lastChanged = item;
+        this.syncDisabled();
+        if (this.changeQueued) return;
+
+        this.changeQueued = true;
+        queueMicrotask(() => {
+            this.changeQueued = false;
+
+            // Items opened by a search are not the user's choice
+            if (!this.query) {
+                this.save();
+            }
+
+            this.element.dispatchEvent(new CustomEvent('accordion:change', {
+                detail: { item: this.lastChanged, open: this.getOpenItems() }
+            }));
+        });
     }
 
     toggle(item) {
@@ -45,7 +609,11 @@ class Accordion {
         const collapse = item.querySelector('.accordion-collapse');
         const isExpanded = button.getAttribute('aria-expanded') === 'true';
 
+        if (this.isDisabled(item)) return;
+
         if (isExpanded) {
+            // Always one open: the last open item stays
+            if (!this.canCollapse(item)) return;
             this.close(item);
         } else {
             if (!this.options.allowMultiple) {
@@ -71,7 +639,7 @@ class Accordion {
         collapse.style.transition = `height ${this.options.duration}ms ease`;
         collapse.style.height = height + 'px';
 
-        setTimeout(() => {
+        this.cleanup.timeout(() => {
             collapse.style.height = 'auto';
             collapse.style.transition = '';
             collapse.classList.add('show');
@@ -81,6 +649,8 @@ class Accordion {
         this.element.dispatchEvent(new CustomEvent('accordion:open', {
             detail: { item }
         }));
+
+        this.changed(item);
     }
 
     close(item) {
@@ -98,7 +668,7 @@ class Accordion {
         collapse.style.transition = `height ${this.options.duration}ms ease`;
         collapse.style.height = '0';
 
-        setTimeout(() => {
+        this.cleanup.timeout(() => {
             collapse.style.display = 'none';
             collapse.style.height = '';
             collapse.style.transition = '';
@@ -109,6 +679,8 @@ class Accordion {
         this.element.dispatchEvent(new CustomEvent('accordion:close', {
             detail: { item }
         }));
+
+        this.changed(item);
     }
 
     closeAll() {
@@ -130,31 +702,9 @@ class Accordion {
     }
 
     destroy() {
-        this.items.forEach(item => {
-            const button = item.querySelector('.accordion-button');
-            if (button) {
-                button.removeEventListener('click', this.toggle);
-            }
-        });
+        this.cleanup.run();
+        removeInstance(this.element, Accordion.NAME, this);
     }
 }
 
-// Auto-initialize
-function initAccordions() {
-    document.querySelectorAll('.accordion').forEach(element => {
-        if (!element.accordionInstance) {
-            element.accordionInstance = new Accordion(element, {
-                allowMultiple: element.hasAttribute('data-allow-multiple')
-            });
-        }
-    });
-}
-
-// Initialize on DOM ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initAccordions);
-} else {
-    initAccordions();
-}
-
 export default Accordion;
\ No newline at end of file
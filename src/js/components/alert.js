@@ -3,29 +3,78 @@
  * Handles dismissible alerts with animations
  */
 
+import Cleanup from '../core/cleanup.js';
+import { getInstance, removeInstance, setInstance } from '../core/instances.js';
+import { parseOptions } from '../core/options.js';
+import { setContent } from '../core/sanitize.js';
+import { getStore } from '../core/storage.js';
+
+const DISMISS_PREFIX = 'kpf-alert:';
+
+const STORAGE_TYPES = ['local', 'session', 'cookie'];
+
 class Alert {
+    static NAME = 'Alert';
+
+    static defaults = {
+        dismissClass: 'alert-dismissible',
+        closeSelector: '.alert-close, [data-alert-close]',
+        fadeClass: 'alert-fade',
+        hidingClass: 'hiding',
+        duration: 150,
+        removeOnClose: true,
+        // Remember dismissal: id, version to show a changed notice again,
+        // storage ('local', 'session' or 'cookie') and expires in days
+        id: '',
+        version: '',
+        storage: 'local',
+        expires: 0
+    };
+
     constructor(element, options = {}) {
+        // One instance per element
+        const existing = getInstance(element, Alert.NAME);
+        if (existing) return existing;
+
         this.element = element;
         this.options = {
-            dismissClass: 'alert-dismissible',
-            closeSelector: '.alert-close, [data-alert-close]',
-            fadeClass: 'alert-fade',
-            hidingClass: 'hiding',
-            duration: 150,
-            removeOnClose: true,
-            ...options
+            ...Alert.defaults,
+            ...options,
+            ...parseOptions(element, Alert.defaults)
         };
 
+        // data-alert-id, data-alert-version, data-alert-storage, data-alert-expires
+        ['id', 'version', 'storage', 'expires'].forEach(name => {
+            const value = element.getAttribute(`data-alert-${name}`);
+            if (value !== null) {
+                this.options[name] = name === 'expires' ? parseFloat(value) || 0 : value;
+            }
+        });
+
         this.closeButton = this.element.querySelector(this.options.closeSelector);
         this.isVisible = true;
+        this.cleanup = new Cleanup();
 
+        setInstance(this.element, Alert.NAME, this);
         this.init();
     }
 
     init() {
+        // Dismissed on an earlier visit: never show it
+        if (this.options.id && Alert.isDismissed(this.options.id, this.options)) {
+            this.isVisible = false;
+            if (this.options.removeOnClose) {
+                this.element.remove();
+            } else {
+                this.element.style.display = 'none';
+            }
+            return;
+        }
+
         // Set up close button
         if (this.closeButton) {
-            this.closeButton.addEventListener('click', (e) => {
+            this.cleanup.preserve(this.closeButton, ['aria-label']);
+            this.cleanup.on(this.closeButton, 'click', (e) => {
                 e.preventDefault();
                 this.close();
             });
@@ -35,10 +84,14 @@ class Alert {
         }
 
         // Set ARIA attributes
+        this.cleanup.preserve(this.element, ['role']);
         this.element.setAttribute('role', 'alert');
     }
 
-    close() {
+    /**
+     * @param {boolean} remember Persist the dismissal when the alert has an id
+     */
+    close(remember = true) {
         if (!this.isVisible) return;
 
         // Dispatch before close event
@@ -54,11 +107,15 @@ class Alert {
 
         this.isVisible = false;
 
+        if (remember && this.options.id) {
+            Alert.dismiss(this.options.id, this.options);
+        }
+
         // Animate out
         if (this.element.classList.contains(this.options.fadeClass)) {
             this.element.classList.add(this.options.hidingClass);
 
-            setTimeout(() => {
+            this.cleanup.timeout(() => {
                 this.remove();
             }, this.options.duration);
         } else {
@@ -98,12 +155,95 @@ class Alert {
     }
 
     destroy() {
-        if (this.closeButton) {
-            this.closeButton.removeEventListener('click', this.close);
+        this.cleanup.run();
+        removeInstance(this.element, Alert.NAME, this);
+    }
+
+    /**
+     * Whether an alert id was dismissed, for the given version
+     *
+     * @param {string} id Alert id
+     * @param {Object} options { version, storage }
+     */
+    static isDismissed(id, options = {}) {
+        const { version = '', storage = 'local' } = options;
+        const entry = getStore(storage).get(DISMISS_PREFIX + id);
+
+        return entry !== undefined && String(entry.version) === String(version);
+    }
+
+    /**
+     * Remember an alert id as dismissed
+     *
+     * @param {string} id Alert id
+     * @param {Object} options { version, storage, expires } expires in days, 0 for never
+     */
+    static dismiss(id, options = {}) {
+        const { version = '', storage = 'local', expires = 0 } = options;
+        getStore(storage).set(DISMISS_PREFIX + id, { version: String(version) }, expires);
+    }
+
+    /**
+     * Forget the dismissal of an alert id, or of every alert, in all backends
+     */
+    static reset(id = null) {
+        STORAGE_TYPES.forEach(type => {
+            const store = getStore(type);
+            const keys = id === null ? store.keys(DISMISS_PREFIX) : [DISMISS_PREFIX + id];
+            keys.forEach(key => store.remove(key));
+        });
+
+        Alert.hideDismissed();
+    }
+
+    /**
+     * Hide dismissed alerts with a stylesheet
+     *
+     * Run before alerts are initialized, so dismissed ones never flash on
+     * screen before they are removed.
+     */
+    static hideDismissed() {
+        const selectors = [];
+
+        STORAGE_TYPES.forEach(type => {
+            const store = getStore(type);
+
+            store.keys(DISMISS_PREFIX).forEach(key => {
+                const entry = store.get(key);
+                if (entry === undefined) return;
+
+                const id = cssString(key.slice(DISMISS_PREFIX.length));
+                const version = entry.version
+                    ? `[data-alert-version="${cssString(entry.version)}"]`
+                    : ':not([data-alert-version])';
+
+                selectors.push(`[data-alert-id="${id}"]${version}`);
+            });
+        });
+
+        let style = document.getElementById('kpf-alert-dismissed');
+
+        if (!selectors.length) {
+            if (style) {
+                style.remove();
+            }
+            return;
+        }
+
+        if (!style) {
+            style = document.createElement('style');
+            style.id = 'kpf-alert-dismissed';
+            (document.head || document.documentElement).appendChild(style);
         }
+
+        style.textContent = `${selectors.join(',')}{display:none!important}`;
     }
 }
 
+function cssString(value) {
+    return String(value).replace(/["\\]/g, '\\$&').replace(/\n/g, '\\a ');
+}
+
 /**
  * Alert Factory
  * Creates alerts dynamically
@@ -118,7 +258,17 @@ class AlertFactory {
         duration: 0,
         container: null,
         position: 'prepend',
-        fadeClass: 'alert-fade'
+        fadeClass: 'alert-fade',
+        id: '',
+        version: '',
+        storage: 'local',
+        expires: 0,
+        // Title and message are HTML, sanitized against allowList;
+        // html: false renders them as plain text
+        html: true,
+        sanitize: true,
+        sanitizeFn: null,
+        allowList: null
     };
 
     static icons = {
@@ -151,16 +301,14 @@ class AlertFactory {
             content += `<span class="alert-icon">${AlertFactory.icons[config.type]}</span>`;
         }
 
-        // Content wrapper
+        // Content wrapper, filled once the markup exists
         content += '<div class="alert-content">';
 
-        // Title
         if (config.title) {
-            content += `<div class="alert-title">${config.title}</div>`;
+            content += '<div class="alert-title"></div>';
         }
 
-        // Message
-        content += `<div class="alert-message">${config.message}</div>`;
+        content += '<div class="alert-message"></div>';
 
         content += '</div>';
 
@@ -171,14 +319,23 @@ class AlertFactory {
 
         alert.innerHTML = content;
 
+        // Title and message never go through the markup string above
+        if (config.title) {
+            setContent(alert.querySelector('.alert-title'), config.title, config);
+        }
+        setContent(alert.querySelector('.alert-message'), config.message, config);
+
         // Initialize Alert instance
         const alertInstance = new Alert(alert, {
-            removeOnClose: true
+            removeOnClose: true,
+            id: config.id,
+            version: config.version,
+            storage: config.storage,
+            expires: config.expires
         });
-        alert.alertInstance = alertInstance;
 
-        // Add to container
-        if (config.container) {
+        // Add to container, unless dismissed before
+        if (config.container && alertInstance.isVisible) {
             const container = typeof config.container === 'string'
                 ? document.querySelector(config.container)
                 : config.container;
@@ -194,8 +351,8 @@ class AlertFactory {
 
         // Auto-dismiss
         if (config.duration > 0) {
-            setTimeout(() => {
-                alertInstance.close();
+            alertInstance.cleanup.timeout(() => {
+                alertInstance.close(false);
             }, config.duration);
         }
 
@@ -223,21 +380,5 @@ class AlertFactory {
     }
 }
 
-// Auto-initialize
-function initAlerts() {
-    document.querySelectorAll('.alert-dismissible').forEach(element => {
-        if (!element.alertInstance) {
-            element.alertInstance = new Alert(element);
-        }
-    });
-}
-
-// Initialize on DOM ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initAlerts);
-} else {
-    initAlerts();
-}
-
 export { Alert, AlertFactory };
 
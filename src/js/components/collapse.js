@@ -3,21 +3,40 @@
  * Generic expand/collapse functionality
  */
 
+import Cleanup from '../core/cleanup.js';
+import { getInstance, removeInstance, setInstance } from '../core/instances.js';
+import { parseOptions } from '../core/options.js';
+
 class Collapse {
+    static NAME = 'Collapse';
+
+    static triggersBound = false;
+
+    static defaults = {
+        duration: 300,
+        easing: 'ease',
+        openClass: 'show',
+        collapsingClass: 'collapsing'
+    };
+
     constructor(element, options = {}) {
+        // One instance per element
+        const existing = getInstance(element, Collapse.NAME);
+        if (existing) return existing;
+
         this.element = element;
         this.options = {
-            duration: 300,
-            easing: 'ease',
-            openClass: 'show',
-            collapsingClass: 'collapsing',
-            ...options
+            ...Collapse.defaults,
+            ...options,
+            ...parseOptions(element, Collapse.defaults)
         };
 
         this.isOpen = this.element.classList.contains(this.options.openClass);
         this.isAnimating = false;
         this.triggers = [];
+        this.cleanup = new Cleanup();
 
+        setInstance(this.element, Collapse.NAME, this);
         this.init();
     }
 
@@ -30,6 +49,9 @@ class Collapse {
             );
         }
 
+        this.cleanup.preserve(this.element, ['style', 'aria-hidden']);
+        this.triggers.forEach(trigger => this.cleanup.preserve(trigger, ['aria-expanded']));
+
         // Set initial state
         if (this.isOpen) {
             this.element.style.height = 'auto';
@@ -87,7 +109,7 @@ class Collapse {
         this.element.style.height = targetHeight + 'px';
 
         // Cleanup after animation
-        setTimeout(() => {
+        this.cleanup.timeout(() => {
             this.element.classList.remove(this.options.collapsingClass);
             this.element.classList.add(this.options.openClass);
             this.element.style.height = 'auto';
@@ -140,7 +162,7 @@ class Collapse {
         this.element.style.height = '0';
 
         // Cleanup after animation
-        setTimeout(() => {
+        this.cleanup.timeout(() => {
             this.element.classList.remove(this.options.collapsingClass);
             this.element.style.display = '';
             this.element.style.overflow = 'hidden';
@@ -171,52 +193,41 @@ class Collapse {
     }
 
     destroy() {
-        this.element.style.height = '';
-        this.element.style.overflow = '';
-        this.element.style.transition = '';
-        this.element.classList.remove(this.options.openClass, this.options.collapsingClass);
+        this.cleanup.run();
+        this.isAnimating = false;
+        this.element.classList.remove(this.options.collapsingClass);
+
+        removeInstance(this.element, Collapse.NAME, this);
     }
-}
 
-// Auto-initialize triggers
-function initCollapse() {
-    // Click handlers for triggers
-    document.addEventListener('click', (e) => {
-        const trigger = e.target.closest('[data-collapse-target], [data-toggle="collapse"]');
+    /**
+     * Delegated click handler for collapse triggers
+     */
+    static bindTriggers() {
+        if (Collapse.triggersBound) return;
+        Collapse.triggersBound = true;
 
-        if (trigger) {
-            e.preventDefault();
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-collapse-target], [data-toggle="collapse"]');
 
-            const targetSelector = trigger.getAttribute('data-collapse-target') ||
-                trigger.getAttribute('data-target') ||
-                trigger.getAttribute('href');
+            if (trigger) {
+                e.preventDefault();
 
-            if (targetSelector) {
-                const target = document.querySelector(targetSelector);
+                const targetSelector = trigger.getAttribute('data-collapse-target') ||
+                    trigger.getAttribute('data-target') ||
+                    trigger.getAttribute('href');
 
-                if (target) {
-                    if (!target.collapseInstance) {
-                        target.collapseInstance = new Collapse(target);
+                if (targetSelector) {
+                    const target = document.querySelector(targetSelector);
+
+                    if (target) {
+                        const instance = getInstance(target, Collapse.NAME) || new Collapse(target);
+                        instance.toggle();
                     }
-                    target.collapseInstance.toggle();
                 }
             }
-        }
-    });
-
-    // Initialize elements with show class
-    document.querySelectorAll('.collapse.show').forEach(element => {
-        if (!element.collapseInstance) {
-            element.collapseInstance = new Collapse(element);
-        }
-    });
-}
-
-// Initialize on DOM ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initCollapse);
-} else {
-    initCollapse();
+        });
+    }
 }
 
 export default Collapse;
\ No newline at end of file
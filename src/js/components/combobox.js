@@ -0,0 +1,798 @@
+/**
+ * Combobox Component
+ * Searchable select built on the dropdown menu: enhances a native <select>,
+ * single or multiple, with filtering, tags, option groups and remote options,
+ * and keeps the select in sync for form submission
+ */
+
+import { createFocusTrap } from '../core/focus.js';
+import { fetchContent } from '../core/remote.js';
+import Dropdown from './dropdown.js';
+
+let comboboxCount = 0;
+
+// Case and accent insensitive comparison
+function normalize(value) {
+    return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+class Combobox extends Dropdown {
+    static NAME = 'Combobox';
+
+    // Messages, override to localize; {count} and {label} are replaced
+    static strings = {
+        placeholder: 'Select…',
+        noResults: 'No results found',
+        loading: 'Loading…',
+        error: 'Could not load results',
+        minChars: 'Type {count} or more characters',
+        result: '1 result available',
+        results: '{count} results available',
+        remove: 'Remove {label}'
+    };
+
+    static defaults = {
+        ...Dropdown.defaults,
+        // Typing filters the options; false for a select-only combobox
+        searchable: true,
+        placeholder: '',
+        // Remote options: a URL called with ?q=..., or a function receiving
+        // (query, { signal }); both may answer with an array or { results }
+        source: '',
+        queryParam: 'q',
+        minChars: 1,
+        debounce: 250,
+        cache: true,
+        // Most options a multiple select may have selected, 0 for no limit
+        maxItems: 0
+    };
+
+    constructor(element, options = {}) {
+        // Checked before Dropdown registers the instance
+        if (!(element instanceof HTMLSelectElement)) {
+            throw new TypeError('Combobox requires a <select> element');
+        }
+
+        super(element, options);
+    }
+
+    init() {
+        const select = this.element;
+        const base = select.id || `combobox-${++comboboxCount}`;
+
+        this.multiple = select.multiple;
+        this.query = '';
+        this.syncing = false;
+        this.optionData = new Map();
+        this.loadTimer = null;
+        this.request = null;
+
+        // Remote options from markup
+        if (!this.options.source && select.hasAttribute('data-combobox-source')) {
+            this.options.source = select.getAttribute('data-combobox-source');
+        }
+
+        // Empty first option of a single select acts as placeholder
+        const first = select.options[0];
+        this.placeholderOption = !this.multiple && first && first.value === '' ? first : null;
+
+        this.render(base);
+        this.bindEvents();
+        this.renderValue();
+    }
+
+    render(base) {
+        const select = this.element;
+
+        this.wrapper = document.createElement('div');
+        this.wrapper.className = `combobox${this.multiple ? ' combobox-multiple' : ''}`;
+
+        this.control = document.createElement('div');
+        this.control.className = 'combobox-control';
+
+        // Dropdown's toggle and menu are the input and the listbox
+        this.toggle = document.createElement('input');
+        this.toggle.type = 'text';
+        this.toggle.id = `${base}-combobox`;
+        this.toggle.className = 'combobox-input';
+        this.toggle.autocomplete = 'off';
+        this.toggle.spellcheck = false;
+        this.toggle.readOnly = !this.options.searchable;
+        this.toggle.disabled = select.disabled;
+        this.toggle.setAttribute('role', 'combobox');
+        this.toggle.setAttribute('aria-autocomplete', this.options.searchable ? 'list' : 'none');
+        this.toggle.setAttribute('aria-expanded', 'false');
+        this.toggle.setAttribute('aria-controls', `${base}-listbox`);
+
+        this.menu = document.createElement('div');
+        this.menu.id = `${base}-listbox`;
+        this.menu.className = 'dropdown-menu combobox-listbox';
+        this.menu.setAttribute('role', 'listbox');
+        if (this.multiple) {
+            this.menu.setAttribute('aria-multiselectable', 'true');
+        }
+
+        // Visible empty, loading and error text; the status announces it
+        this.message = document.createElement('div');
+        this.message.className = 'combobox-message';
+        this.message.setAttribute('aria-hidden', 'true');
+        this.message.hidden = true;
+
+        this.status = document.createElement('div');
+        this.status.className = 'sr-only';
+        this.status.setAttribute('role', 'status');
+        this.status.setAttribute('aria-live', 'polite');
+
+        this.control.appendChild(this.toggle);
+        this.wrapper.append(this.control, this.menu, this.status);
+        this.wrapper.classList.toggle('disabled', select.disabled);
+        select.after(this.wrapper);
+        this.cleanup.add(() => this.wrapper.remove());
+
+        // Name the input after the select's label
+        const label = select.labels && select.labels[0];
+        if (label) {
+            this.cleanup.preserve(label, ['id']);
+            label.id = label.id || `${base}-label`;
+            this.toggle.setAttribute('aria-labelledby', label.id);
+            this.menu.setAttribute('aria-labelledby', label.id);
+        } else if (select.hasAttribute('aria-label')) {
+            this.toggle.setAttribute('aria-label', select.getAttribute('aria-label'));
+            this.menu.setAttribute('aria-label', select.getAttribute('aria-label'));
+        }
+
+        // The select stays in the form, out of sight and reach
+        this.cleanup.preserve(select, ['class', 'tabindex', 'aria-hidden']);
+        select.classList.add('sr-only');
+        select.setAttribute('tabindex', '-1');
+        select.setAttribute('aria-hidden', 'true');
+
+        // Focus stays on the input, the trap only satisfies Dropdown
+        this.focusTrap = createFocusTrap(this.menu, {
+            initialFocus: false,
+            returnFocus: false,
+            cycle: false
+        });
+        this.cleanup.add(() => this.focusTrap.deactivate({ returnFocus: false }));
+        this.cleanup.add(() => this.abort());
+    }
+
+    bindEvents() {
+        const select = this.element;
+
+        this.cleanup.on(this.toggle, 'input', () => {
+            this.open();
+            this.search(this.toggle.value);
+        });
+
+        this.cleanup.on(this.toggle, 'keydown', (e) => this.handleKeydown(e));
+
+        // Clicks beside the input must not blur it
+        this.cleanup.on(this.control, 'mousedown', (e) => {
+            if (e.target !== this.toggle && !e.target.closest('button')) {
+                e.preventDefault();
+            }
+        });
+
+        this.cleanup.on(this.control, 'click', (e) => {
+            const remove = e.target.closest('.combobox-tag-remove');
+
+            if (remove) {
+                this.setSelected(remove.getAttribute('data-value'), false);
+                this.toggle.focus();
+                return;
+            }
+
+            if (this.toggle.disabled) return;
+
+            this.toggle.focus();
+
+            // Clicking into the text to edit it keeps the list open
+            if (e.target === this.toggle && this.options.searchable) {
+                this.open();
+            } else {
+                this.toggleMenu();
+            }
+        });
+
+        // Keep focus on the input while picking with the mouse
+        this.cleanup.on(this.menu, 'mousedown', (e) => e.preventDefault());
+
+        this.cleanup.on(this.menu, 'click', (e) => {
+            const item = e.target.closest('[role="option"]');
+            if (item && this.items.includes(item)) {
+                this.choose(item);
+            }
+        });
+
+        this.cleanup.on(this.menu, 'pointermove', (e) => {
+            const index = this.items.indexOf(e.target.closest('[role="option"]'));
+            if (index > -1 && index !== this.currentIndex) {
+                this.focusItem(index, false);
+            }
+        });
+
+        this.cleanup.on(this.wrapper, 'focusout', (e) => {
+            if (!this.wrapper.contains(e.relatedTarget)) {
+                this.close();
+            }
+        });
+
+        this.cleanup.on(document, 'click', (e) => {
+            if (this.isOpen && !this.wrapper.contains(e.target)) {
+                this.close();
+            }
+        });
+
+        // Outside changes to the select, e.g. by other scripts
+        this.cleanup.on(select, 'change', () => {
+            if (!this.syncing) {
+                this.renderValue();
+            }
+        });
+
+        // Labels and validation messages focus the select
+        this.cleanup.on(select, 'focus', () => this.toggle.focus());
+
+        if (select.form) {
+            this.cleanup.on(select.form, 'reset', () => {
+                this.cleanup.timeout(() => this.renderValue(), 0);
+            });
+        }
+    }
+
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'Down':
+                e.preventDefault();
+                if (!this.isOpen) {
+                    this.open();
+                    if (!e.altKey && this.currentIndex < 0) {
+                        this.focusItem(0);
+                    }
+                } else if (!e.altKey) {
+                    this.focusNextItem();
+                }
+                break;
+
+            case 'ArrowUp':
+            case 'Up':
+                e.preventDefault();
+                if (!this.isOpen) {
+                    this.open();
+                    if (this.currentIndex < 0) {
+                        this.focusItem(this.items.length - 1);
+                    }
+                } else if (e.altKey) {
+                    this.close();
+                } else {
+                    this.focusPrevItem();
+                }
+                break;
+
+            case 'Enter':
+                if (this.isOpen && this.items[this.currentIndex]) {
+                    e.preventDefault();
+                    this.choose(this.items[this.currentIndex]);
+                }
+                break;
+
+            case ' ':
+                // Space types into a searchable input
+                if (this.options.searchable) break;
+
+                e.preventDefault();
+                if (this.isOpen && this.items[this.currentIndex]) {
+                    this.choose(this.items[this.currentIndex]);
+                } else {
+                    this.open();
+                }
+                break;
+
+            case 'Home':
+            case 'End':
+                // Searchable inputs keep moving the caret
+                if (this.options.searchable || !this.isOpen) break;
+
+                e.preventDefault();
+                this.focusItem(e.key === 'Home' ? 0 : this.items.length - 1);
+                break;
+
+            case 'Escape':
+                if (this.isOpen) {
+                    e.preventDefault();
+                    this.close();
+                } else if (this.multiple && this.toggle.value) {
+                    e.preventDefault();
+                    this.toggle.value = '';
+                }
+                break;
+
+            case 'Backspace':
+                // Remove the last tag from an empty input
+                if (this.multiple && !this.toggle.value && this.element.selectedOptions.length) {
+                    const options = this.element.selectedOptions;
+                    this.setSelected(options[options.length - 1].value, false);
+                }
+                break;
+
+            case 'Tab':
+                this.close();
+                break;
+
+            default:
+                // Select-only comboboxes jump to options by their first letter
+                if (!this.options.searchable && e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                    this.open();
+                    this.typeAhead(e.key);
+                }
+                break;
+        }
+    }
+
+    open() {
+        if (this.isOpen || this.toggle.disabled) return;
+
+        this.search('');
+        super.open();
+
+        // Start from the selected option
+        const selected = this.items.findIndex(item => item.getAttribute('aria-selected') === 'true');
+        if (selected > -1) {
+            this.focusItem(selected);
+        }
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        super.close(false);
+        this.abort();
+        this.focusItem(-1);
+
+        // Drop an unfinished query
+        this.query = '';
+        this.renderValue();
+    }
+
+    updateItems() {
+        this.items = Array.from(this.menu.querySelectorAll('[role="option"]'))
+            .filter(item => item.getAttribute('aria-disabled') !== 'true');
+    }
+
+    /**
+     * Highlight an option; focus stays on the input
+     *
+     * @param {number} index Option index, -1 for none
+     * @param {boolean} scroll Scroll the option into view
+     */
+    focusItem(index, scroll = true) {
+        const item = index >= 0 ? this.items[Math.min(index, this.items.length - 1)] : null;
+
+        this.items.forEach(option => option.classList.toggle('focused', option === item));
+        this.currentIndex = item ? this.items.indexOf(item) : -1;
+
+        if (!item) {
+            this.toggle.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        this.toggle.setAttribute('aria-activedescendant', item.id);
+
+        if (scroll) {
+            const top = item.offsetTop;
+            const bottom = top + item.offsetHeight;
+
+            if (top < this.menu.scrollTop) {
+                this.menu.scrollTop = top;
+            } else if (bottom > this.menu.scrollTop + this.menu.clientHeight) {
+                this.menu.scrollTop = bottom - this.menu.clientHeight;
+            }
+        }
+    }
+
+    getReference() {
+        return this.control;
+    }
+
+    getContainer() {
+        return this.wrapper;
+    }
+
+    positionMenu() {
+        this.menu.style.minWidth = `${this.control.offsetWidth}px`;
+        super.positionMenu();
+    }
+
+    /**
+     * Show the options matching a query, loading them when remote
+     *
+     * @param {string} query Search text
+     */
+    search(query) {
+        const value = String(query).trim();
+        const { source, minChars } = this.options;
+
+        this.query = value;
+        this.cleanup.clearTimeout(this.loadTimer);
+
+        if (source && value) {
+            this.abort();
+
+            this.renderOptions([]);
+
+            if (value.length < minChars) {
+                this.setMessage(Combobox.strings.minChars.replace('{count}', minChars));
+                return;
+            }
+
+            this.setMessage(Combobox.strings.loading);
+            this.loadTimer = this.cleanup.timeout(() => this.load(value), this.options.debounce);
+            return;
+        }
+
+        const term = normalize(value);
+        this.renderOptions(this.readOptions().filter(entry => !term || normalize(entry.label).includes(term)));
+    }
+
+    /**
+     * Fetch remote options for a query
+     */
+    async load(query) {
+        const { source } = this.options;
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const request = controller || {};
+
+        this.abort();
+        this.request = request;
+        this.toggle.setAttribute('aria-busy', 'true');
+
+        try {
+            let target = source;
+
+            if (typeof source === 'function') {
+                target = ({ signal }) => source(query, { signal });
+            } else {
+                const url = new URL(source, window.location.href);
+                url.searchParams.set(this.options.queryParam, query);
+                target = url.toString();
+            }
+
+            const data = await fetchContent(target, {
+                cache: this.options.cache,
+                signal: controller ? controller.signal : null
+            });
+
+            // Superseded by a newer query, closed or destroyed
+            if (this.request !== request) return;
+
+            this.finishRequest();
+            this.renderOptions(this.parseResults(data));
+        } catch (error) {
+            if (this.request !== request) return;
+
+            this.finishRequest();
+            this.renderOptions([]);
+            this.setMessage(Combobox.strings.error);
+
+            this.element.dispatchEvent(new CustomEvent('combobox:error', {
+                detail: { combobox: this, query, error }
+            }));
+        }
+    }
+
+    abort() {
+        if (this.request && typeof this.request.abort === 'function') {
+            this.request.abort();
+        }
+        this.finishRequest();
+    }
+
+    finishRequest() {
+        this.request = null;
+        this.toggle.removeAttribute('aria-busy');
+    }
+
+    /**
+     * Options of the select, without the placeholder
+     *
+     * @returns {Array} Entries of { value, label, disabled, group }
+     */
+    readOptions() {
+        return Array.from(this.element.options)
+            .filter(option => option !== this.placeholderOption)
+            .map(option => ({
+                value: option.value,
+                label: option.label || option.text,
+                disabled: option.disabled || (option.parentElement.tagName === 'OPTGROUP' && option.parentElement.disabled),
+                group: option.parentElement.tagName === 'OPTGROUP' ? option.parentElement.label : ''
+            }));
+    }
+
+    /**
+     * Turn a remote answer into option entries
+     *
+     * Items may be strings or objects with value/label or id/text, grouped
+     * through a children array as in Select2 responses.
+     */
+    parseResults(data) {
+        const list = Array.isArray(data) ? data : ((data && (data.results || data.items)) || []);
+        const entries = [];
+
+        const add = (item, group) => {
+            if (item === null || item === undefined) return;
+
+            if (typeof item !== 'object') {
+                entries.push({ value: String(item), label: String(item), disabled: false, group });
+                return;
+            }
+
+            if (Array.isArray(item.children)) {
+                item.children.forEach(child => add(child, String(item.label || item.text || '')));
+                return;
+            }
+
+            const value = String(item.value !== undefined ? item.value : item.id);
+            entries.push({
+                value,
+                label: String(item.label || item.text || value),
+                disabled: !!item.disabled,
+                group: item.group ? String(item.group) : group
+            });
+        };
+
+        list.forEach(item => add(item, ''));
+        return entries;
+    }
+
+    /**
+     * Fill the listbox with option entries, grouped by their group label
+     */
+    renderOptions(entries) {
+        const id = this.menu.id;
+        let container = null;
+        let group = null;
+
+        this.optionData.clear();
+        this.menu.replaceChildren();
+
+        entries.forEach((entry, index) => {
+            if (entry.group !== group) {
+                group = entry.group;
+                container = this.menu;
+
+                if (group) {
+                    container = document.createElement('div');
+                    container.className = 'combobox-group';
+                    container.setAttribute('role', 'group');
+                    container.setAttribute('aria-labelledby', `${id}-group-${index}`);
+
+                    const header = document.createElement('div');
+                    header.className = 'dropdown-header';
+                    header.id = `${id}-group-${index}`;
+                    header.setAttribute('role', 'presentation');
+                    header.textContent = group;
+
+                    container.appendChild(header);
+                    this.menu.appendChild(container);
+                }
+            }
+
+            const item = document.createElement('div');
+            item.id = `${id}-option-${index}`;
+            item.className = 'dropdown-item';
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', String(this.isSelected(entry.value)));
+            item.textContent = entry.label;
+
+            if (entry.disabled) {
+                item.classList.add('disabled');
+                item.setAttribute('aria-disabled', 'true');
+            }
+
+            this.optionData.set(item, entry);
+            (container || this.menu).appendChild(item);
+        });
+
+        this.menu.appendChild(this.message);
+        this.updateItems();
+        this.focusItem(this.query ? 0 : -1);
+
+        const count = this.items.length;
+
+        this.setMessage(this.query && !count ? Combobox.strings.noResults : '');
+
+        if (this.query && count) {
+            this.status.textContent = count === 1
+                ? Combobox.strings.result
+                : Combobox.strings.results.replace('{count}', count);
+        }
+    }
+
+    setMessage(text) {
+        this.message.textContent = text;
+        this.message.hidden = !text;
+
+        if (text) {
+            this.status.textContent = text;
+        }
+    }
+
+    /**
+     * Pick an option: toggle it in a multiple select, select it and close
+     * otherwise
+     */
+    choose(item) {
+        const entry = this.optionData.get(item);
+        if (!entry || entry.disabled) return;
+
+        if (this.multiple) {
+            this.setSelected(entry, !this.isSelected(entry.value));
+
+            // The query is done with: list everything again, from the picked option
+            if (this.query) {
+                this.toggle.value = '';
+                this.search('');
+            }
+            this.focusItem(this.items.indexOf(this.findItem(entry.value)));
+        } else {
+            this.setSelected(entry, true);
+            this.close();
+        }
+    }
+
+    findItem(value) {
+        return this.items.find(item => this.optionData.get(item).value === value) || null;
+    }
+
+    isSelected(value) {
+        return Array.from(this.element.selectedOptions).some(option => option.value === value);
+    }
+
+    /**
+     * Select or deselect an option of the select and announce the change
+     *
+     * Remote options missing from the select are added to it.
+     *
+     * @param {Object|string} entry Option entry or value
+     * @param {boolean} selected
+     */
+    setSelected(entry, selected) {
+        const select = this.element;
+        const value = typeof entry === 'object' ? entry.value : String(entry);
+        let option = Array.from(select.options).find(item => item.value === value);
+
+        if (selected) {
+            const { maxItems } = this.options;
+            if (this.multiple && maxItems > 0 && select.selectedOptions.length >= maxItems && !(option && option.selected)) {
+                return;
+            }
+
+            if (!option) {
+                option = new Option(typeof entry === 'object' ? entry.label : value, value);
+                select.appendChild(option);
+            }
+        } else if (!option) {
+            return;
+        }
+
+        if (this.multiple) {
+            option.selected = selected;
+        } else {
+            select.value = selected ? value : '';
+        }
+
+        this.renderValue();
+        this.dispatchChange();
+    }
+
+    dispatchChange() {
+        this.syncing = true;
+        this.element.dispatchEvent(new Event('input', { bubbles: true }));
+        this.element.dispatchEvent(new Event('change', { bubbles: true }));
+        this.syncing = false;
+
+        this.element.dispatchEvent(new CustomEvent('combobox:change', {
+            detail: { combobox: this, value: this.getValue() }
+        }));
+    }
+
+    /**
+     * Show the select's value: the input text or the tags
+     */
+    renderValue() {
+        const select = this.element;
+        const selected = Array.from(select.selectedOptions).filter(option => option !== this.placeholderOption);
+        const placeholder = this.options.placeholder ||
+            (this.placeholderOption && this.placeholderOption.text) ||
+            Combobox.strings.placeholder;
+
+        this.toggle.disabled = select.disabled;
+        this.wrapper.classList.toggle('disabled', select.disabled);
+
+        if (this.multiple) {
+            this.control.querySelectorAll('.combobox-tag').forEach(tag => tag.remove());
+            this.toggle.before(...selected.map(option => this.renderTag(option)));
+            this.toggle.placeholder = selected.length ? '' : placeholder;
+
+            if (!this.query) {
+                this.toggle.value = '';
+            }
+        } else {
+            this.toggle.placeholder = placeholder;
+
+            if (!this.query) {
+                this.toggle.value = selected.length ? selected[0].text : '';
+            }
+        }
+
+        this.items.forEach(item => {
+            item.setAttribute('aria-selected', String(this.isSelected(this.optionData.get(item).value)));
+        });
+    }
+
+    renderTag(option) {
+        const tag = document.createElement('span');
+        tag.className = 'combobox-tag';
+
+        const label = document.createElement('span');
+        label.className = 'combobox-tag-label';
+        label.textContent = option.text;
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'combobox-tag-remove';
+        remove.setAttribute('data-value', option.value);
+        remove.setAttribute('aria-label', Combobox.strings.remove.replace('{label}', option.text));
+        remove.textContent = '×';
+        remove.disabled = this.element.disabled;
+
+        tag.append(label, remove);
+        return tag;
+    }
+
+    /**
+     * Selected value, or values of a multiple select
+     *
+     * @returns {string|Array}
+     */
+    getValue() {
+        const values = Array.from(this.element.selectedOptions).map(option => option.value);
+        return this.multiple ? values : (values[0] || '');
+    }
+
+    /**
+     * Set the value without a change event, like assigning select.value
+     *
+     * @param {string|Array} value Value, or values of a multiple select
+     */
+    setValue(value) {
+        const values = (Array.isArray(value) ? value : [value]).map(String);
+
+        Array.from(this.element.options).forEach(option => {
+            option.selected = values.includes(option.value) && (this.multiple || option.value === values[0]);
+        });
+
+        this.renderValue();
+    }
+
+    clear() {
+        this.setValue(this.multiple ? [] : '');
+    }
+
+    /**
+     * Re-read the select after options were added or removed
+     */
+    refresh() {
+        const first = this.element.options[0];
+        this.placeholderOption = !this.multiple && first && first.value === '' ? first : null;
+
+        this.renderValue();
+        if (this.isOpen) {
+            this.search(this.query);
+        }
+    }
+}
+
+export default Combobox;
@@ -0,0 +1,338 @@
+/**
+ * Dialog Helpers
+ * Promise-based confirm, prompt and generic dialogs rendered on top of Modal
+ */
+
+import { setContent } from '../core/sanitize.js';
+import Modal from './modal.js';
+
+let dialogCount = 0;
+
+class Dialog {
+    // Button labels and messages, override to localize
+    static strings = {
+        ok: 'OK',
+        cancel: 'Cancel',
+        close: 'Close',
+        required: 'Please fill out this field.',
+        invalid: 'Please enter a valid value.'
+    };
+
+    static defaults = {
+        title: '',
+        content: '',
+        html: false,
+        sanitize: true,
+        sanitizeFn: null,
+        allowList: null,
+        buttons: [],
+        size: '',
+        centered: false,
+        backdrop: true,
+        keyboard: true,
+        closeButton: true,
+        dismissValue: null,
+        customClass: '',
+        strings: null,
+        template: '<div class="modal"><div class="modal-dialog"><div class="modal-content"><div class="modal-header"><h2 class="modal-title"></h2><button type="button" class="modal-close" data-modal-close><span class="modal-close-icon" aria-hidden="true"></span></button></div><div class="modal-body"></div><div class="modal-footer"></div></div></div></div>'
+    };
+
+    /**
+     * Open a dialog
+     *
+     * Buttons are { text, value, className, autofocus, primary, onClick }. The
+     * promise resolves with the value of the pressed button, or dismissValue
+     * when the dialog is closed with Escape, the close button or the backdrop.
+     * An onClick returning false keeps the dialog open; Enter in a text field
+     * presses the primary button.
+     *
+     * @param {Object} options See defaults
+     * @returns {Promise}
+     */
+    static open(options = {}) {
+        const config = { ...Dialog.defaults, ...options };
+        const strings = { ...Dialog.strings, ...config.strings };
+        const id = `kpf-dialog-${++dialogCount}`;
+
+        const element = Dialog.render(config.template);
+        if (config.customClass) {
+            element.classList.add(...config.customClass.split(' ').filter(Boolean));
+        }
+
+        const dialog = element.querySelector('.modal-dialog');
+        if (dialog) {
+            if (config.size) {
+                dialog.classList.add(`modal-${config.size}`);
+            }
+            if (config.centered) {
+                dialog.classList.add('modal-dialog-centered');
+            }
+        }
+
+        // Title
+        const title = element.querySelector('.modal-title');
+        if (title) {
+            if (config.title) {
+                title.id = `${id}-title`;
+                setContent(title, config.title, config);
+                element.setAttribute('aria-labelledby', title.id);
+            } else {
+                title.remove();
+            }
+        }
+
+        const close = element.querySelector('.modal-close');
+        if (close) {
+            if (config.closeButton) {
+                close.setAttribute('aria-label', strings.close);
+            } else {
+                close.remove();
+            }
+        }
+
+        const header = element.querySelector('.modal-header');
+        if (header && !header.children.length) {
+            header.remove();
+        }
+
+        // Content
+        const body = element.querySelector('.modal-body');
+        if (body) {
+            body.id = `${id}-body`;
+            setContent(body, config.content, config);
+            element.setAttribute('aria-describedby', body.id);
+        }
+
+        document.body.appendChild(element);
+
+        const modal = new Modal(element, {
+            backdrop: config.backdrop,
+            keyboard: config.keyboard
+        });
+
+        return new Promise(resolve => {
+            let result = config.dismissValue;
+            let settled = false;
+
+            const settle = value => {
+                if (settled) return;
+                settled = true;
+                resolve(value);
+            };
+
+            // Destroyed before it finished hiding: settle as dismissed
+            modal.cleanup.add(() => {
+                settle(config.dismissValue);
+                element.remove();
+            });
+
+            // Buttons
+            const footer = element.querySelector('.modal-footer');
+            const buttons = config.buttons.map((button, index) => ({
+                value: index,
+                className: 'btn btn-secondary',
+                ...button
+            }));
+
+            buttons.forEach(button => {
+                const el = document.createElement('button');
+                el.type = 'button';
+                el.className = button.className;
+                el.textContent = button.text;
+
+                if (button.autofocus) {
+                    el.setAttribute('autofocus', '');
+                }
+
+                if (button.primary) {
+                    el.setAttribute('data-dialog-primary', '');
+                }
+
+                modal.cleanup.on(el, 'click', () => {
+                    if (button.onClick && button.onClick({ button, modal, element }) === false) {
+                        return;
+                    }
+
+                    result = button.value;
+                    modal.close();
+                });
+
+                if (footer) {
+                    footer.appendChild(el);
+                }
+            });
+
+            if (footer && !buttons.length) {
+                footer.remove();
+            }
+
+            // Enter in a text field presses the primary button
+            modal.cleanup.on(element, 'keydown', (e) => {
+                if (e.key !== 'Enter' || e.target.tagName !== 'INPUT') return;
+
+                const primary = element.querySelector('[data-dialog-primary]');
+                if (primary) {
+                    e.preventDefault();
+                    primary.click();
+                }
+            });
+
+            // Clean up once hidden, after focus has been restored
+            element.addEventListener('modal:hidden', () => {
+                settle(result);
+                modal.destroy();
+                element.remove();
+            }, { once: true });
+
+            modal.open();
+        });
+    }
+
+    /**
+     * Ask for confirmation
+     *
+     * @param {Object|string} options Options or message
+     * @returns {Promise<boolean>}
+     */
+    static confirm(options = {}) {
+        const config = typeof options === 'string' ? { message: options } : options;
+        const strings = { ...Dialog.strings, ...config.strings };
+        const { message, okText, cancelText, okClass, ...rest } = config;
+
+        return Dialog.open({
+            content: message,
+            ...rest,
+            dismissValue: false,
+            buttons: [
+                { text: cancelText || strings.cancel, value: false },
+                { text: okText || strings.ok, value: true, className: okClass || 'btn btn-primary', autofocus: true, primary: true }
+            ]
+        });
+    }
+
+    /**
+     * Ask for a value
+     *
+     * validate(value) may return true, false or an error message. The promise
+     * resolves with the entered value, or null when cancelled.
+     *
+     * @param {Object|string} options Options or message
+     * @returns {Promise<string|null>}
+     */
+    static prompt(options = {}) {
+        const config = typeof options === 'string' ? { message: options } : options;
+        const strings = { ...Dialog.strings, ...config.strings };
+        const {
+            message = '',
+            value = '',
+            type = 'text',
+            placeholder = '',
+            required = false,
+            validate = null,
+            okText,
+            cancelText,
+            okClass,
+            ...rest
+        } = config;
+
+        const id = `kpf-prompt-${++dialogCount}`;
+        const content = document.createElement('div');
+
+        const label = document.createElement('label');
+        label.htmlFor = `${id}-input`;
+        setContent(label, message, config);
+
+        const input = document.createElement('input');
+        input.type = type;
+        input.id = `${id}-input`;
+        input.value = value;
+        input.placeholder = placeholder;
+        input.required = required;
+        input.setAttribute('autofocus', '');
+        input.setAttribute('aria-describedby', `${id}-error`);
+
+        const feedback = document.createElement('div');
+        feedback.className = 'invalid-feedback';
+        feedback.id = `${id}-error`;
+        feedback.setAttribute('aria-live', 'polite');
+
+        if (message) {
+            content.appendChild(label);
+        } else if (rest.title) {
+            input.setAttribute('aria-label', rest.title);
+        }
+        content.append(input, feedback);
+
+        const setError = (error) => {
+            input.classList.toggle('is-invalid', !!error);
+            input.setAttribute('aria-invalid', error ? 'true' : 'false');
+            feedback.textContent = error || '';
+        };
+
+        const check = () => {
+            const current = input.value;
+            let error = '';
+
+            if (required && !current.trim()) {
+                error = strings.required;
+            } else if (validate) {
+                const outcome = validate(current);
+                if (outcome === false) {
+                    error = strings.invalid;
+                } else if (typeof outcome === 'string') {
+                    error = outcome;
+                }
+            }
+
+            setError(error);
+            if (error) {
+                input.focus();
+            }
+            return !error;
+        };
+
+        input.addEventListener('input', () => setError(''));
+
+        return Dialog.open({
+            ...rest,
+            content,
+            html: false,
+            dismissValue: null,
+            buttons: [
+                { text: cancelText || strings.cancel, value: null },
+                {
+                    text: okText || strings.ok,
+                    value: null,
+                    className: okClass || 'btn btn-primary',
+                    primary: true,
+                    onClick: ({ button }) => {
+                        if (!check()) return false;
+                        button.value = input.value;
+                        return true;
+                    }
+                }
+            ]
+        });
+    }
+
+    /**
+     * Create the dialog element from an HTML string, a <template> or its selector
+     */
+    static render(template) {
+        let source = template;
+
+        if (typeof source === 'string' && source.trim().charAt(0) !== '<') {
+            source = document.querySelector(source);
+        }
+
+        if (source instanceof HTMLTemplateElement) {
+            return source.content.firstElementChild.cloneNode(true);
+        }
+
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = String(source || Dialog.defaults.template).trim();
+        return wrapper.firstElementChild;
+    }
+}
+
+export default Dialog;
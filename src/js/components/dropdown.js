@@ -1,21 +1,52 @@
 /**
  * Dropdown Component
- * Handles dropdown menus with keyboard navigation
+ * Handles dropdown menus with keyboard navigation, nested submenus and
+ * checkbox/radio items
  */
 
+import Cleanup from '../core/cleanup.js';
+import { createFocusTrap, isFocusable } from '../core/focus.js';
+import { getInstance, removeInstance, setInstance } from '../core/instances.js';
+import { parseOptions } from '../core/options.js';
+import { autoUpdate, computePosition, parsePlacement } from '../core/position.js';
+
 class Dropdown {
+    static NAME = 'Dropdown';
+
+    static defaults = {
+        openClass: 'show',
+        toggleSelector: '.dropdown-toggle',
+        menuSelector: '.dropdown-menu',
+        itemSelector: '.dropdown-item:not(.disabled)',
+        closeOnClickOutside: true,
+        closeOnSelect: true,
+        // Checkbox items usually stay open for several changes; radio items
+        // follow closeOnSelect
+        closeOnCheck: false,
+        placement: 'bottom-start',
+        offset: 4,
+        fallbackPlacements: null,
+        boundaryPadding: 8,
+        fitViewport: true,
+        // Nested .dropdown inside a menu: side it opens on (mirrored in RTL)
+        // and mouse hover delays
+        submenuPlacement: 'right-start',
+        hoverDelay: 100,
+        closeDelay: 300
+    };
+
     constructor(element, options = {}) {
+        // One instance per element
+        const existing = getInstance(element, new.target.NAME);
+        if (existing) return existing;
+
+        const defaults = this.constructor.defaults;
+
         this.element = element;
         this.options = {
-            openClass: 'show',
-            toggleSelector: '.dropdown-toggle',
-            menuSelector: '.dropdown-menu',
-            itemSelector: '.dropdown-item:not(.disabled)',
-            closeOnClickOutside: true,
-            closeOnSelect: true,
-            placement: 'bottom-start',
-            offset: 4,
-            ...options
+            ...defaults,
+            ...options,
+            ...parseOptions(element, defaults)
         };
 
         this.toggle = this.element.querySelector(this.options.toggleSelector);
@@ -23,14 +54,25 @@ class Dropdown {
         this.items = [];
         this.isOpen = false;
         this.currentIndex = -1;
-
-        if (this.toggle && this.menu) {
-            this.init();
-        }
+        this.stopAutoUpdate = null;
+        this.focusTrap = null;
+        this.hoverTimer = null;
+        this.hoverOpened = false;
+        this.pointer = null;
+        this.lastPointer = null;
+        this.inputs = [];
+        this.cleanup = new Cleanup();
+
+        setInstance(this.element, this.constructor.NAME, this);
+        this.init();
     }
 
     init() {
+        if (!this.toggle || !this.menu) return;
+
         // Set ARIA attributes
+        this.cleanup.preserve(this.toggle, ['aria-haspopup', 'aria-expanded']);
+        this.cleanup.preserve(this.menu, ['role', 'style', 'data-placement']);
         this.toggle.setAttribute('aria-haspopup', 'true');
         this.toggle.setAttribute('aria-expanded', 'false');
         this.menu.setAttribute('role', 'menu');
@@ -38,45 +80,369 @@ class Dropdown {
         // Get menu items
         this.updateItems();
 
+        // Return focus to the toggle on close; Tab leaves the menu and closes it
+        this.focusTrap = createFocusTrap(this.menu, {
+            initialFocus: false,
+            returnFocus: this.toggle,
+            cycle: false
+        });
+        this.cleanup.add(() => this.focusTrap.deactivate({ returnFocus: false }));
+
         // Toggle click
-        this.toggle.addEventListener('click', (e) => {
+        this.cleanup.on(this.toggle, 'click', (e) => {
             e.preventDefault();
             e.stopPropagation();
+
+            // A click on a submenu the mouse just opened keeps it open
+            if (this.hoverOpened) {
+                this.hoverOpened = false;
+                return;
+            }
             this.toggleMenu();
         });
 
+        // Recent pointer positions, to tell whether the mouse heads for a submenu
+        this.cleanup.on(this.menu, 'pointermove', (e) => {
+            this.lastPointer = this.pointer;
+            this.pointer = { x: e.clientX, y: e.clientY };
+        });
+
+        if (this.isSubmenu()) {
+            this.initSubmenu();
+        }
+
         // Keyboard navigation on toggle
-        this.toggle.addEventListener('keydown', (e) => this.handleToggleKeydown(e));
+        this.cleanup.on(this.toggle, 'keydown', (e) => this.handleToggleKeydown(e));
 
         // Keyboard navigation on menu
-        this.menu.addEventListener('keydown', (e) => this.handleMenuKeydown(e));
+        this.cleanup.on(this.menu, 'keydown', (e) => this.handleMenuKeydown(e));
 
         // Close on click outside
         if (this.options.closeOnClickOutside) {
-            document.addEventListener('click', (e) => {
+            this.cleanup.on(document, 'click', (e) => {
                 if (this.isOpen && !this.element.contains(e.target)) {
                     this.close();
                 }
             });
         }
 
-        // Close on item select
-        if (this.options.closeOnSelect) {
-            this.menu.addEventListener('click', (e) => {
-                const item = e.target.closest(this.options.itemSelector);
-                if (item && !item.classList.contains('disabled')) {
-                    this.close();
+        // Item selection; items of submenus may close the whole chain
+        this.cleanup.on(this.menu, 'click', (e) => this.handleItemClick(e));
+
+        this.cleanup.add(() => this.inputs.forEach(input => input.remove()));
+        this.syncInputs();
+    }
+
+    handleItemClick(e) {
+        const item = e.target.closest(this.options.itemSelector);
+        if (!item || item.classList.contains('disabled')) return;
+
+        // A submenu already handled its own item
+        if (item.closest(this.options.menuSelector) !== this.menu) {
+            if (this.shouldClose(item)) {
+                this.close();
+            }
+            return;
+        }
+
+        const type = this.getItemType(item);
+        let checked = null;
+
+        if (type !== 'action') {
+            e.preventDefault();
+
+            checked = type === 'radio' || item.getAttribute('aria-checked') !== 'true';
+            this.setChecked(item, checked);
+            this.syncInputs();
+        }
+
+        this.element.dispatchEvent(new CustomEvent('dropdown:select', {
+            detail: { dropdown: this, item, type, value: this.getItemValue(item), checked }
+        }));
+
+        if (this.shouldClose(item)) {
+            this.close();
+        }
+    }
+
+    /**
+     * Item kind from its role: 'checkbox', 'radio' or 'action'
+     */
+    getItemType(item) {
+        const role = item.getAttribute('role');
+
+        if (role === 'menuitemcheckbox') return 'checkbox';
+        if (role === 'menuitemradio') return 'radio';
+        return 'action';
+    }
+
+    shouldClose(item) {
+        return this.getItemType(item) === 'checkbox' ? this.options.closeOnCheck : this.options.closeOnSelect;
+    }
+
+    getItemValue(item) {
+        if (item.hasAttribute('data-value')) return item.getAttribute('data-value');
+        return item.value || item.textContent.trim();
+    }
+
+    /**
+     * Checkbox and radio items of this menu, disabled ones included
+     */
+    getCheckableItems() {
+        return Array.from(this.menu.querySelectorAll('[role="menuitemcheckbox"], [role="menuitemradio"]'))
+            .filter(item => item.closest(this.options.menuSelector) === this.menu);
+    }
+
+    /**
+     * Radio items are exclusive within their [role="group"], or the menu
+     */
+    getGroup(item) {
+        const group = item.closest('[role="group"]');
+        return group && this.menu.contains(group) ? group : this.menu;
+    }
+
+    getGroupName(group) {
+        return (group === this.menu ? this.element : group).getAttribute('data-name') || '';
+    }
+
+    setChecked(item, checked) {
+        if (checked && this.getItemType(item) === 'radio') {
+            const group = this.getGroup(item);
+
+            this.getCheckableItems().forEach(other => {
+                if (other !== item && this.getItemType(other) === 'radio' && this.getGroup(other) === group) {
+                    other.setAttribute('aria-checked', 'false');
                 }
             });
         }
+
+        item.setAttribute('aria-checked', String(checked));
+    }
+
+    /**
+     * Checked values by group name
+     *
+     * Radio groups give a value or null, checkbox groups an array. Without a
+     * name, a menu with a single group gives that group's value and one with
+     * several an object keyed by their data-name.
+     *
+     * @param {string|null} name Group name
+     * @returns {*}
+     */
+    getValue(name = null) {
+        const groups = new Map();
+
+        this.getCheckableItems().forEach(item => {
+            const key = this.getGroupName(this.getGroup(item));
+
+            if (!groups.has(key)) {
+                groups.set(key, { radio: this.getItemType(item) === 'radio', values: [] });
+            }
+            if (item.getAttribute('aria-checked') === 'true') {
+                groups.get(key).values.push(this.getItemValue(item));
+            }
+        });
+
+        const read = group => (group.radio ? (group.values.length ? group.values[0] : null) : group.values);
+
+        if (name !== null) {
+            return groups.has(name) ? read(groups.get(name)) : null;
+        }
+
+        if (groups.size === 1) {
+            return read(groups.values().next().value);
+        }
+
+        return Object.fromEntries(Array.from(groups, ([key, group]) => [key, read(group)]));
+    }
+
+    /**
+     * Check the items with the given values, without a select event
+     *
+     * @param {*} value Value or array of values; an object sets several
+     *     groups by name
+     * @param {string|null} name Limit to one group
+     */
+    setValue(value, name = null) {
+        if (name === null && value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.keys(value).forEach(key => this.setValue(value[key], key));
+            return;
+        }
+
+        const values = (Array.isArray(value) ? value : [value])
+            .filter(item => item !== null && item !== undefined)
+            .map(String);
+        const checkedGroups = new Set();
+
+        this.getCheckableItems().forEach(item => {
+            const group = this.getGroup(item);
+            if (name !== null && this.getGroupName(group) !== name) return;
+
+            let checked = values.includes(this.getItemValue(item));
+
+            // One radio per group
+            if (this.getItemType(item) === 'radio') {
+                checked = checked && !checkedGroups.has(group);
+                if (checked) {
+                    checkedGroups.add(group);
+                }
+            }
+
+            item.setAttribute('aria-checked', String(checked));
+        });
+
+        this.syncInputs();
+    }
+
+    /**
+     * Hidden inputs carrying the checked values of named groups, so the
+     * dropdown submits with its form
+     */
+    syncInputs() {
+        this.inputs.forEach(input => input.remove());
+        this.inputs = [];
+
+        this.getCheckableItems().forEach(item => {
+            const name = this.getGroupName(this.getGroup(item));
+            if (!name || item.getAttribute('aria-checked') !== 'true') return;
+
+            const input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = name;
+            input.value = this.getItemValue(item);
+            this.element.appendChild(input);
+            this.inputs.push(input);
+        });
+    }
+
+    /**
+     * Hover intent for a submenu: the parent menu decides which of its
+     * submenus is open, so moving the mouse diagonally across other items
+     * towards an open submenu does not switch to them
+     */
+    initSubmenu() {
+        this.cleanup.on(this.element, 'pointerenter', (e) => {
+            const parent = this.getParent();
+            if (e.pointerType !== 'mouse' || !parent) return;
+
+            if (this.isOpen) {
+                parent.scheduleSubmenu(this, 0);
+            } else {
+                parent.scheduleSubmenu(this, parent.isAiming() ? this.options.closeDelay : this.options.hoverDelay);
+            }
+        });
+
+        this.cleanup.on(this.element, 'pointerleave', (e) => {
+            const parent = this.getParent();
+            if (e.pointerType !== 'mouse' || !parent) return;
+
+            parent.scheduleSubmenu(null, this.options.closeDelay);
+        });
+    }
+
+    /**
+     * Whether this dropdown sits inside another dropdown's menu
+     */
+    isSubmenu() {
+        return !!this.element.parentElement && !!this.element.parentElement.closest(this.options.menuSelector);
+    }
+
+    /**
+     * Dropdown whose menu contains this one, if any
+     */
+    getParent() {
+        if (!this.isSubmenu()) return null;
+
+        const menu = this.element.parentElement.closest(this.options.menuSelector);
+        const dropdown = menu.closest('.dropdown');
+
+        return dropdown ? getInstance(dropdown, Dropdown.NAME) : null;
+    }
+
+    /**
+     * Outermost dropdown of a submenu chain
+     */
+    getRoot() {
+        let root = this;
+        let parent = this.getParent();
+
+        while (parent) {
+            root = parent;
+            parent = parent.getParent();
+        }
+
+        return root;
+    }
+
+    /**
+     * Open submenus directly inside this menu
+     */
+    getOpenSubmenus() {
+        return Array.from(this.menu.querySelectorAll(`.dropdown.${this.options.openClass}`))
+            .map(element => getInstance(element, Dropdown.NAME))
+            .filter(instance => instance && instance.getParent() === this);
+    }
+
+    /**
+     * Open a submenu, or close the open ones when given null, after a delay
+     */
+    scheduleSubmenu(submenu, delay) {
+        this.cleanup.clearTimeout(this.hoverTimer);
+
+        this.hoverTimer = this.cleanup.timeout(() => {
+            this.hoverTimer = null;
+
+            if (!submenu) {
+                this.getOpenSubmenus().forEach(instance => instance.close(false));
+            } else if (!submenu.isOpen) {
+                submenu.open();
+                submenu.hoverOpened = true;
+            }
+        }, delay);
+    }
+
+    /**
+     * Whether the mouse moves towards the open submenu, inside the triangle
+     * between its previous position and the submenu's near edge
+     */
+    isAiming() {
+        const submenu = this.getOpenSubmenus()[0];
+        if (!submenu || !this.pointer || !this.lastPointer) return false;
+
+        const rect = submenu.menu.getBoundingClientRect();
+        const side = (submenu.menu.getAttribute('data-placement') || '').split('-')[0];
+        const x = side === 'left' ? rect.right : rect.left;
+        const a = this.lastPointer;
+        const b = { x, y: rect.top };
+        const c = { x, y: rect.bottom };
+        const p = this.pointer;
+
+        const cross = (u, v, w) => (v.x - u.x) * (w.y - u.y) - (v.y - u.y) * (w.x - u.x);
+        const d1 = cross(a, b, p);
+        const d2 = cross(b, c, p);
+        const d3 = cross(c, a, p);
+
+        return !((d1 < 0 || d2 < 0 || d3 < 0) && (d1 > 0 || d2 > 0 || d3 > 0));
     }
 
     updateItems() {
-        this.items = Array.from(this.menu.querySelectorAll(this.options.itemSelector));
-        this.items.forEach((item, index) => {
-            item.setAttribute('role', 'menuitem');
+        // Items of nested submenus belong to those
+        const items = Array.from(this.menu.querySelectorAll(this.options.itemSelector))
+            .filter(item => item.closest(this.options.menuSelector) === this.menu);
+        items.forEach(item => {
+            this.cleanup.preserve(item, ['role', 'tabindex', 'aria-checked']);
             item.setAttribute('tabindex', '-1');
+
+            // Checkbox and radio items keep their role and get an explicit state
+            if (this.getItemType(item) === 'action') {
+                item.setAttribute('role', 'menuitem');
+            } else if (item.getAttribute('aria-checked') !== 'true') {
+                item.setAttribute('aria-checked', String(item.classList.contains('active')));
+            }
         });
+
+        // Skip hidden, inert and disabled items while the menu is shown
+        this.items = this.isOpen ? items.filter(item => isFocusable(item, false)) : items;
     }
 
     toggleMenu() {
@@ -90,21 +456,27 @@ class Dropdown {
     open() {
         if (this.isOpen) return;
 
-        // Close other open dropdowns
+        // Close other open dropdowns, except the menus this one is nested in
         document.querySelectorAll('.dropdown.show').forEach(dropdown => {
-            if (dropdown !== this.element && dropdown.dropdownInstance) {
-                dropdown.dropdownInstance.close();
+            const instance = !dropdown.contains(this.element) ? getInstance(dropdown, Dropdown.NAME) : null;
+            if (instance) {
+                instance.close(false);
             }
         });
 
         this.isOpen = true;
         this.currentIndex = -1;
-        this.element.classList.add(this.options.openClass);
+        this.getContainer().classList.add(this.options.openClass);
         this.menu.classList.add(this.options.openClass);
         this.toggle.setAttribute('aria-expanded', 'true');
 
-        // Position menu
+        // Items may have been added or hidden since the last open
+        this.updateItems();
+        this.focusTrap.activate();
+
+        // Position menu and keep it attached while open
         this.positionMenu();
+        this.stopAutoUpdate = autoUpdate(this.getReference(), this.menu, () => this.positionMenu());
 
         // Dispatch event
         this.element.dispatchEvent(new CustomEvent('dropdown:open', {
@@ -112,17 +484,28 @@ class Dropdown {
         }));
     }
 
-    close() {
+    /**
+     * @param {boolean} returnFocus Move focus back to the toggle when it was
+     *     inside the menu
+     */
+    close(returnFocus = true) {
         if (!this.isOpen) return;
 
+        // Submenus first, so focus can come back up the chain
+        this.getOpenSubmenus().forEach(instance => instance.close(returnFocus));
+
         this.isOpen = false;
         this.currentIndex = -1;
-        this.element.classList.remove(this.options.openClass);
+        this.hoverOpened = false;
+        this.cleanup.clearTimeout(this.hoverTimer);
+        this.hoverTimer = null;
+        this.stopPositioning();
+        this.getContainer().classList.remove(this.options.openClass);
         this.menu.classList.remove(this.options.openClass);
         this.toggle.setAttribute('aria-expanded', 'false');
 
         // Return focus to toggle
-        this.toggle.focus();
+        this.focusTrap.deactivate({ returnFocus: returnFocus && this.toggle });
 
         // Dispatch event
         this.element.dispatchEvent(new CustomEvent('dropdown:close', {
@@ -131,51 +514,72 @@ class Dropdown {
     }
 
     positionMenu() {
-        // Reset styles
-        this.menu.style.top = '';
-        this.menu.style.bottom = '';
-        this.menu.style.left = '';
-        this.menu.style.right = '';
-
-        const toggleRect = this.toggle.getBoundingClientRect();
-        const menuRect = this.menu.getBoundingClientRect();
-        const viewportHeight = window.innerHeight;
-        const viewportWidth = window.innerWidth;
-
-        // Check if menu would overflow bottom
-        const spaceBelow = viewportHeight - toggleRect.bottom;
-        const spaceAbove = toggleRect.top;
-
-        if (spaceBelow < menuRect.height && spaceAbove > spaceBelow) {
-            // Position above
-            this.menu.style.bottom = '100%';
-            this.menu.style.marginBottom = this.options.offset + 'px';
-        } else {
-            // Position below (default)
-            this.menu.style.top = '100%';
-            this.menu.style.marginTop = this.options.offset + 'px';
+        let placement = this.options.placement;
+        let fallbackPlacements = this.options.fallbackPlacements;
+
+        // Submenus open to the side and flip to the other side, never below
+        if (this.isSubmenu()) {
+            const { side, alignment } = parsePlacement(this.options.submenuPlacement);
+            const rtl = getComputedStyle(this.element).direction === 'rtl';
+            const start = rtl ? { left: 'right', right: 'left' }[side] || side : side;
+            const end = { left: 'right', right: 'left' }[start] || start;
+
+            placement = `${start}-${alignment}`;
+            fallbackPlacements = fallbackPlacements || [`${end}-${alignment}`];
         }
 
-        // Check horizontal overflow
-        if (this.options.placement.includes('end')) {
-            this.menu.style.right = '0';
-        } else {
-            this.menu.style.left = '0';
-        }
+        const result = computePosition(this.getReference(), this.menu, {
+            placement,
+            offset: this.options.offset,
+            fallbackPlacements,
+            padding: this.options.boundaryPadding,
+            size: this.options.fitViewport && (({ availableHeight }) => {
+                this.menu.style.maxHeight = '';
+                this.menu.style.overflowY = '';
+
+                if (this.menu.scrollHeight > availableHeight) {
+                    this.menu.style.maxHeight = `${Math.max(availableHeight, 0)}px`;
+                    this.menu.style.overflowY = 'auto';
+                }
+            })
+        });
 
-        // Adjust if overflowing viewport
-        const updatedRect = this.menu.getBoundingClientRect();
-        if (updatedRect.right > viewportWidth) {
-            this.menu.style.left = 'auto';
-            this.menu.style.right = '0';
-        }
-        if (updatedRect.left < 0) {
-            this.menu.style.left = '0';
-            this.menu.style.right = 'auto';
+        this.menu.setAttribute('data-placement', result.placement);
+    }
+
+    /**
+     * Element the menu is positioned against
+     */
+    getReference() {
+        return this.toggle;
+    }
+
+    /**
+     * Element that gets the open class along with the menu
+     */
+    getContainer() {
+        return this.element;
+    }
+
+    stopPositioning() {
+        if (this.stopAutoUpdate) {
+            this.stopAutoUpdate();
+            this.stopAutoUpdate = null;
         }
     }
 
     handleToggleKeydown(e) {
+        // Submenu toggles are items of the parent menu, which handles the rest
+        if (this.isSubmenu()) {
+            if (e.key === this.getKeys().enter || e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.open();
+                this.focusItem(0);
+            }
+            return;
+        }
+
         switch (e.key) {
             case 'ArrowDown':
             case 'Down':
@@ -208,7 +612,30 @@ class Dropdown {
         }
     }
 
+    /**
+     * Keys that enter and leave submenus, mirrored in RTL
+     */
+    getKeys() {
+        const rtl = getComputedStyle(this.element).direction === 'rtl';
+        return {
+            enter: rtl ? 'ArrowLeft' : 'ArrowRight',
+            leave: rtl ? 'ArrowRight' : 'ArrowLeft'
+        };
+    }
+
     handleMenuKeydown(e) {
+        // Keys pressed inside a submenu are handled by its own instance
+        if (e.target.closest(this.options.menuSelector) !== this.menu) return;
+
+        const parent = this.getParent();
+
+        if (e.key === this.getKeys().leave && parent) {
+            e.preventDefault();
+            this.close();
+            parent.currentIndex = parent.items.indexOf(this.toggle);
+            return;
+        }
+
         switch (e.key) {
             case 'ArrowDown':
             case 'Down':
@@ -238,7 +665,7 @@ class Dropdown {
                 break;
 
             case 'Tab':
-                this.close();
+                this.getRoot().close();
                 break;
 
             case 'Enter':
@@ -259,11 +686,19 @@ class Dropdown {
     }
 
     focusItem(index) {
+        if (!this.items.length) return;
         if (index < 0) index = 0;
         if (index >= this.items.length) index = this.items.length - 1;
 
         this.currentIndex = index;
         this.items[index].focus();
+
+        // Moving on from a submenu toggle closes its submenu
+        this.getOpenSubmenus().forEach(instance => {
+            if (instance.toggle !== this.items[index]) {
+                instance.close(false);
+            }
+        });
     }
 
     focusNextItem() {
@@ -304,27 +739,15 @@ class Dropdown {
     }
 
     destroy() {
-        this.close();
-        this.toggle.removeEventListener('click', this.toggleMenu);
-        this.toggle.removeEventListener('keydown', this.handleToggleKeydown);
-        this.menu.removeEventListener('keydown', this.handleMenuKeydown);
-    }
-}
-
-// Auto-initialize
-function initDropdowns() {
-    document.querySelectorAll('.dropdown').forEach(element => {
-        if (!element.dropdownInstance) {
-            element.dropdownInstance = new Dropdown(element);
-        }
-    });
-}
+        // Tear down without close() so focus is not moved to the toggle
+        this.stopPositioning();
+        this.cleanup.run();
+        this.isOpen = false;
+        this.getContainer()?.classList.remove(this.options.openClass);
+        this.menu?.classList.remove(this.options.openClass);
 
-// Initialize on DOM ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initDropdowns);
-} else {
-    initDropdowns();
+        removeInstance(this.element, this.constructor.NAME, this);
+    }
 }
 
 export default Dropdown;
\ No newline at end of file
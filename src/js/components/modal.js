@@ -3,30 +3,77 @@
  * Handles modal dialogs with accessibility support
  */
 
+import Cleanup from '../core/cleanup.js';
+import { createFocusTrap, focusFirst } from '../core/focus.js';
+import { getInstance, removeInstance, setInstance } from '../core/instances.js';
+import { modalManager } from '../core/modal-manager.js';
+import { parseOptions } from '../core/options.js';
+import { applyContent, fetchContent } from '../core/remote.js';
+
 class Modal {
+    static NAME = 'Modal';
+
+    static triggersBound = false;
+
+    static manager = modalManager;
+
+    // Remote loading messages, override to localize
+    static strings = {
+        loading: 'Loading…',
+        error: 'The content could not be loaded.',
+        retry: 'Try again'
+    };
+
+    static defaults = {
+        backdrop: true,
+        keyboard: true,
+        focus: true,
+        initialFocus: null,
+        returnFocus: true,
+        backdropClass: 'modal-backdrop',
+        openClass: 'show',
+        bodyOpenClass: 'modal-open',
+        duration: 200,
+        remote: '',
+        remoteTarget: '.modal-body',
+        remoteTemplate: null,
+        remoteCache: false,
+        spinnerClass: 'spinner spinner-primary'
+    };
+
     constructor(element, options = {}) {
+        // One instance per element
+        const existing = getInstance(element, Modal.NAME);
+        if (existing) return existing;
+
         this.element = element;
         this.options = {
-            backdrop: true,
-            keyboard: true,
-            focus: true,
-            backdropClass: 'modal-backdrop',
-            openClass: 'show',
-            bodyOpenClass: 'modal-open',
-            duration: 200,
-            ...options
+            ...Modal.defaults,
+            ...options,
+            ...parseOptions(element, Modal.defaults)
         };
 
+        if (!this.options.remote && element.hasAttribute('data-modal-remote')) {
+            this.options.remote = element.getAttribute('data-modal-remote');
+        }
+
         this.isOpen = false;
         this.backdrop = null;
-        this.previousActiveElement = null;
+        this.hideTimeout = null;
+        this.lastSource = null;
         this.focusableElements = null;
+        this.focusTrap = null;
+        this.request = null;
+        this.loaded = false;
+        this.cleanup = new Cleanup();
 
+        setInstance(this.element, Modal.NAME, this);
         this.init();
     }
 
     init() {
         // Set ARIA attributes
+        this.cleanup.preserve(this.element, ['role', 'aria-modal', 'aria-hidden', 'aria-busy', 'tabindex', 'style', 'data-modal-level']);
         this.element.setAttribute('role', 'dialog');
         this.element.setAttribute('aria-modal', 'true');
         this.element.setAttribute('aria-hidden', 'true');
@@ -35,38 +82,66 @@ class Modal {
         // Find close buttons
         this.closeButtons = this.element.querySelectorAll('[data-modal-close], .modal-close');
         this.closeButtons.forEach(btn => {
-            btn.addEventListener('click', (e) => {
+            this.cleanup.on(btn, 'click', (e) => {
                 e.preventDefault();
                 this.close();
             });
         });
 
         // Backdrop click
-        this.element.addEventListener('click', (e) => {
+        this.cleanup.on(this.element, 'click', (e) => {
             if (this.options.backdrop && e.target === this.element) {
                 this.close();
             }
         });
 
-        // Keyboard events
-        this.element.addEventListener('keydown', (e) => this.handleKeydown(e));
+        // Keep focus inside while open, background inert; Escape is handled by the modal manager
+        this.focusTrap = createFocusTrap(this.element, {
+            initialFocus: false,
+            returnFocus: this.options.returnFocus,
+            inert: true
+        });
+        this.cleanup.add(() => this.focusTrap.deactivate({ returnFocus: false }));
+
+        // Retry after a failed remote load
+        this.cleanup.on(this.element, 'click', (e) => {
+            if (e.target.closest('[data-modal-retry]') && this.lastSource) {
+                e.preventDefault();
+                this.load(this.lastSource);
+            }
+        });
+
+        // Abort a pending request on destroy
+        this.cleanup.add(() => this.abort());
     }
 
     open() {
         if (this.isOpen) return;
 
-        this.previousActiveElement = document.activeElement;
         this.isOpen = true;
 
+        // Reopened while still closing
+        this.cleanup.clearTimeout(this.hideTimeout);
+        this.hideTimeout = null;
+        this.removeBackdrop();
+
         // Create backdrop
         if (this.options.backdrop) {
             this.createBackdrop();
         }
 
+        // Layer above any modal that is already open
+        modalManager.push(this);
+        this.focusTrap.activate();
+
+        // Load remote content unless a trigger already started a request
+        if (this.options.remote && !this.request && !(this.loaded && this.options.remoteCache)) {
+            this.load(this.options.remote);
+        }
+
         // Show modal
         this.element.style.display = 'block';
         this.element.setAttribute('aria-hidden', 'false');
-        document.body.classList.add(this.options.bodyOpenClass);
 
         // Force reflow
         this.element.offsetHeight;
@@ -79,7 +154,7 @@ class Modal {
 
         // Focus management
         if (this.options.focus) {
-            setTimeout(() => {
+            this.cleanup.timeout(() => {
                 this.setFocus();
             }, this.options.duration);
         }
@@ -94,6 +169,7 @@ class Modal {
         if (!this.isOpen) return;
 
         this.isOpen = false;
+        modalManager.remove(this, false);
 
         // Remove show class
         this.element.classList.remove(this.options.openClass);
@@ -102,18 +178,25 @@ class Modal {
         }
 
         // Hide after animation
-        setTimeout(() => {
+        this.hideTimeout = this.cleanup.timeout(() => {
+            this.hideTimeout = null;
             this.element.style.display = 'none';
+            this.element.style.zIndex = '';
             this.element.setAttribute('aria-hidden', 'true');
-            document.body.classList.remove(this.options.bodyOpenClass);
+            this.element.removeAttribute('data-modal-level');
+
+            // Keep the body class while a parent modal is still open
+            modalManager.release(this);
 
             // Remove backdrop
             this.removeBackdrop();
 
-            // Restore focus
-            if (this.previousActiveElement) {
-                this.previousActiveElement.focus();
-            }
+            // Release the background and restore focus
+            this.focusTrap.deactivate();
+
+            this.element.dispatchEvent(new CustomEvent('modal:hidden', {
+                detail: { modal: this }
+            }));
         }, this.options.duration);
 
         // Dispatch event
@@ -122,6 +205,86 @@ class Modal {
         }));
     }
 
+    /**
+     * Load content from a URL or a function into the modal
+     *
+     * JSON responses are rendered through the remoteTemplate option.
+     *
+     * @param {string|Function} source URL or loader function
+     * @returns {Promise<boolean>} Whether the content was loaded
+     */
+    async load(source) {
+        const target = this.element.querySelector(this.options.remoteTarget) || this.element;
+
+        this.abort();
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        this.request = controller || {};
+        const request = this.request;
+        this.lastSource = source;
+
+        this.element.setAttribute('aria-busy', 'true');
+        this.renderLoading(target);
+
+        try {
+            const content = await fetchContent(source, {
+                cache: this.options.remoteCache,
+                signal: controller ? controller.signal : null
+            });
+
+            // A newer request or destroy() took over
+            if (this.request !== request) return false;
+
+            applyContent(target, content, this.options.remoteTemplate);
+            this.finishRequest();
+            this.loaded = true;
+
+            // Move focus into the new content if it was lost
+            if (this.isOpen && this.options.focus && (!this.element.contains(document.activeElement) || document.activeElement === this.element)) {
+                this.setFocus();
+            }
+
+            this.element.dispatchEvent(new CustomEvent('modal:loaded', {
+                detail: { modal: this, source, content }
+            }));
+
+            return true;
+        } catch (error) {
+            if (this.request !== request) return false;
+
+            this.finishRequest();
+            this.renderError(target);
+
+            this.element.dispatchEvent(new CustomEvent('modal:error', {
+                detail: { modal: this, source, error }
+            }));
+
+            return false;
+        }
+    }
+
+    abort() {
+        if (this.request && typeof this.request.abort === 'function') {
+            this.request.abort();
+        }
+        this.request = null;
+    }
+
+    finishRequest() {
+        this.request = null;
+        this.element.removeAttribute('aria-busy');
+    }
+
+    renderLoading(target) {
+        target.innerHTML = `<div class="spinner-container"><div class="${this.options.spinnerClass}" role="status"><span class="sr-only"></span></div></div>`;
+        target.querySelector('.sr-only').textContent = Modal.strings.loading;
+    }
+
+    renderError(target) {
+        target.innerHTML = '<div class="alert alert-danger" role="alert"><div class="alert-content"><div class="alert-message"></div></div><button type="button" class="btn btn-sm btn-outline-danger" data-modal-retry></button></div>';
+        target.querySelector('.alert-message').textContent = Modal.strings.error;
+        target.querySelector('[data-modal-retry]').textContent = Modal.strings.retry;
+    }
+
     toggle() {
         if (this.isOpen) {
             this.close();
@@ -144,88 +307,52 @@ class Modal {
     }
 
     setFocus() {
-        const focusableSelectors = [
-            'button:not([disabled])',
-            'input:not([disabled])',
-            'select:not([disabled])',
-            'textarea:not([disabled])',
-            'a[href]',
-            '[tabindex]:not([tabindex="-1"])'
-        ].join(',');
-
-        this.focusableElements = this.element.querySelectorAll(focusableSelectors);
-
-        if (this.focusableElements.length > 0) {
-            this.focusableElements[0].focus();
-        } else {
-            this.element.focus();
-        }
+        this.focusableElements = focusFirst(this.element, this.options.initialFocus);
     }
 
-    handleKeydown(e) {
-        if (!this.isOpen) return;
-
-        // Close on Escape
-        if (this.options.keyboard && e.key === 'Escape') {
-            e.preventDefault();
-            this.close();
-            return;
-        }
-
-        // Trap focus
-        if (e.key === 'Tab' && this.focusableElements && this.focusableElements.length > 0) {
-            const firstFocusable = this.focusableElements[0];
-            const lastFocusable = this.focusableElements[this.focusableElements.length - 1];
+    destroy() {
+        // Cancel pending show/hide work, then tear down immediately
+        this.cleanup.run();
+        this.isOpen = false;
+        this.element.classList.remove(this.options.openClass);
+        this.removeBackdrop();
+        modalManager.remove(this, false);
+        modalManager.release(this);
 
-            if (e.shiftKey) {
-                if (document.activeElement === firstFocusable) {
-                    e.preventDefault();
-                    lastFocusable.focus();
-                }
-            } else {
-                if (document.activeElement === lastFocusable) {
-                    e.preventDefault();
-                    firstFocusable.focus();
-                }
-            }
-        }
+        removeInstance(this.element, Modal.NAME, this);
     }
 
-    destroy() {
-        this.close();
-        this.closeButtons.forEach(btn => {
-            btn.removeEventListener('click', this.close);
-        });
-    }
-}
+    /**
+     * Bind [data-modal-target] triggers once, via delegation
+     */
+    static bindTriggers() {
+        if (Modal.triggersBound) return;
+        Modal.triggersBound = true;
+
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-modal-target]');
+            if (!trigger) return;
 
-// Auto-initialize triggers
-function initModals() {
-    // Modal triggers
-    document.querySelectorAll('[data-modal-target]').forEach(trigger => {
-        trigger.addEventListener('click', (e) => {
             e.preventDefault();
             const targetSelector = trigger.getAttribute('data-modal-target');
             const modal = document.querySelector(targetSelector);
 
             if (modal) {
-                if (!modal.modalInstance) {
-                    modal.modalInstance = new Modal(modal, {
-                        backdrop: trigger.getAttribute('data-backdrop') !== 'false',
-                        keyboard: trigger.getAttribute('data-keyboard') !== 'false'
-                    });
+                const instance = getInstance(modal, Modal.NAME) || new Modal(modal, {
+                    backdrop: trigger.getAttribute('data-backdrop') !== 'false',
+                    keyboard: trigger.getAttribute('data-keyboard') !== 'false'
+                });
+
+                // Per-trigger remote content, e.g. one preview modal for many links
+                const remote = trigger.getAttribute('data-modal-remote');
+                if (remote && !(instance.isOpen && instance.lastSource === remote)) {
+                    instance.load(remote);
                 }
-                modal.modalInstance.open();
+
+                instance.open();
             }
         });
-    });
-}
-
-// Initialize on DOM ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initModals);
-} else {
-    initModals();
+    }
 }
 
 export default Modal;
\ No newline at end of file
@@ -1,39 +1,113 @@
 /**
  * Navigation Component
- * Handles mobile navigation, sticky nav, and menu interactions
+ * Handles mobile navigation, sticky nav, mega menus, the desktop menu
+ * keyboard model and current page detection
  */
 
+import Cleanup from '../core/cleanup.js';
+import { getFocusable } from '../core/focus.js';
+import { getInstance, removeInstance, setInstance } from '../core/instances.js';
+import { parseOptions } from '../core/options.js';
+import Dropdown from './dropdown.js';
+import Offcanvas from './offcanvas.js';
+
+let megaCount = 0;
+
+/**
+ * Path without a trailing slash or index file, so /blog/, /blog and
+ * /blog/index.html compare equal
+ */
+function normalizePath(path) {
+    return path.replace(/\/index\.(html?|php)$/i, '/').replace(/\/+$/, '') || '/';
+}
+
 class Navigation {
+    static NAME = 'Navigation';
+
+    static defaults = {
+        toggleSelector: '.navbar-toggler',
+        collapseSelector: '.navbar-collapse',
+        menuSelector: '.navbar-nav',
+        dropdownSelector: '.dropdown',
+        stickyClass: 'navbar-sticky',
+        scrolledClass: 'navbar-scrolled',
+        openClass: 'show',
+        breakpoint: 992,
+        stickyOffset: 0,
+        hideOnScroll: false,
+        hideOffset: 200,
+        offcanvas: '',
+        // Mega menus: items whose .nav-link opens a full-width panel, with
+        // column headings that become accordions below the breakpoint
+        megaSelector: '.nav-mega',
+        megaPanelSelector: '.mega-panel',
+        megaHeadingSelector: '.mega-heading',
+        hoverDelay: 150,
+        closeDelay: 300,
+        // Desktop keyboard model: '' for Tab only, 'disclosure' for arrow
+        // keys and a roving tabindex, 'menubar' to add the menu roles too
+        keyboard: '',
+        // Mark links to the current URL with aria-current; 'prefix' also
+        // marks the closest section link, e.g. /blog on /blog/post
+        current: true,
+        currentMatch: 'prefix',
+        currentClass: 'active'
+    };
+
     constructor(element, options = {}) {
+        // One instance per element
+        const existing = getInstance(element, Navigation.NAME);
+        if (existing) return existing;
+
         this.element = element;
         this.options = {
-            toggleSelector: '.navbar-toggler',
-            collapseSelector: '.navbar-collapse',
-            menuSelector: '.navbar-nav',
-            dropdownSelector: '.dropdown',
-            stickyClass: 'navbar-sticky',
-            scrolledClass: 'navbar-scrolled',
-            openClass: 'show',
-            breakpoint: 992,
-            stickyOffset: 0,
-            hideOnScroll: false,
-            hideOffset: 200,
-            ...options
+            ...Navigation.defaults,
+            ...options,
+            ...parseOptions(element, Navigation.defaults)
         };
 
         this.toggle = this.element.querySelector(this.options.toggleSelector);
         this.collapse = this.element.querySelector(this.options.collapseSelector);
         this.isOpen = false;
+        this.drawer = null;
+        this.megaItems = [];
+        this.megaOpen = null;
+        this.megaTimer = null;
+        this.megaHoverOpened = false;
+        this.megaSections = [];
+        this.menu = null;
+        this.menuLinks = [];
+        this.menuIndex = 0;
+        this.menuState = [];
+        this.keyboardActive = false;
+        this.currentMarked = [];
         this.lastScrollTop = 0;
         this.isSticky = this.element.classList.contains(this.options.stickyClass);
+        this.cleanup = new Cleanup();
 
+        setInstance(this.element, Navigation.NAME, this);
         this.init();
     }
 
     init() {
+        this.media = window.matchMedia(`(max-width: ${this.options.breakpoint - 0.02}px)`);
+
+        // Top level links of the menu
+        this.menu = this.element.querySelector(this.options.menuSelector);
+        this.menuLinks = this.menu
+            ? Array.from(this.menu.children)
+                .map(child => (child.matches('.nav-link') ? child : child.querySelector(':scope > .nav-link')))
+                .filter(Boolean)
+            : [];
+
         // Mobile toggle
+        this.cleanup.preserve(this.element, ['style']);
+
         if (this.toggle && this.collapse) {
-            this.toggle.addEventListener('click', (e) => {
+            this.cleanup.preserve(this.toggle, ['aria-expanded', 'aria-controls']);
+            this.cleanup.preserve(this.collapse, ['id', 'style']);
+
+            this.cleanup.on(this.toggle, 'click', (e) => {
                 e.preventDefault();
                 this.toggleMobile();
             });
@@ -47,10 +121,11 @@ class Navigation {
             }
         }
 
-        // Close mobile menu on link click
-        const navLinks = this.element.querySelectorAll('.nav-link:not(.dropdown-toggle)');
+        // Close mobile menu on link click; mega menu toggles only open panels
+        const navLinks = Array.from(this.element.querySelectorAll('.nav-link:not(.dropdown-toggle)'))
+            .filter(link => !link.parentElement.matches(this.options.megaSelector));
         navLinks.forEach(link => {
-            link.addEventListener('click', () => {
+            this.cleanup.on(link, 'click', () => {
                 if (window.innerWidth < this.options.breakpoint && this.isOpen) {
                     this.closeMobile();
                 }
@@ -58,22 +133,22 @@ class Navigation {
         });
 
         // Close mobile menu on outside click
-        document.addEventListener('click', (e) => {
+        this.cleanup.on(document, 'click', (e) => {
             if (this.isOpen && !this.element.contains(e.target)) {
                 this.closeMobile();
             }
         });
 
         // Handle resize
-        window.addEventListener('resize', () => {
+        this.cleanup.on(window, 'resize', () => {
             if (window.innerWidth >= this.options.breakpoint && this.isOpen) {
                 this.closeMobile();
             }
         });
 
-        // Handle escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.isOpen) {
+        // Handle escape key (the modal manager closes the drawer)
+        this.cleanup.on(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen && !this.drawer && !e.defaultPrevented) {
                 this.closeMobile();
                 this.toggle?.focus();
             }
@@ -86,6 +161,64 @@ class Navigation {
 
         // Initialize dropdowns for mobile
         this.initMobileDropdowns();
+
+        this.initMega();
+
+        // Server rendered aria-current wins over detection
+        if (this.options.current && !this.element.querySelector('[aria-current]')) {
+            this.updateCurrent();
+            this.cleanup.on(window, 'popstate', () => this.updateCurrent());
+            this.cleanup.add(() => this.clearCurrent());
+        }
+
+        if (this.options.keyboard && this.menuLinks.length) {
+            this.initKeyboard();
+        }
+
+        // Render the collapse as an offcanvas drawer below the breakpoint
+        if (this.options.offcanvas && this.collapse) {
+            this.initOffcanvas();
+        }
+    }
+
+    initOffcanvas() {
+        const placement = this.options.offcanvas === true || this.options.offcanvas === 'true' ? 'start' : this.options.offcanvas;
+        const media = window.matchMedia(`(max-width: ${this.options.breakpoint - 0.02}px)`);
+
+        this.cleanup.preserve(this.collapse, ['class']);
+
+        const update = () => {
+            if (media.matches && !this.drawer) {
+                this.isOpen = false;
+                this.collapse.classList.add('offcanvas');
+                this.drawer = new Offcanvas(this.collapse, { placement });
+
+                // Keep the toggle in sync when the drawer closes itself
+                this.drawerListener = this.cleanup.on(this.collapse, 'offcanvas:hide', () => {
+                    this.isOpen = false;
+                    this.toggle?.setAttribute('aria-expanded', 'false');
+                    this.toggle?.classList.remove('active');
+                });
+            } else if (!media.matches && this.drawer) {
+                this.drawerListener();
+                this.drawer.destroy();
+                this.drawer = null;
+                this.collapse.classList.remove('offcanvas');
+                this.isOpen = false;
+                this.toggle?.setAttribute('aria-expanded', 'false');
+                this.toggle?.classList.remove('active');
+            }
+        };
+
+        this.cleanup.on(media, 'change', update);
+        this.cleanup.add(() => {
+            if (this.drawer) {
+                this.drawer.destroy();
+                this.drawer = null;
+            }
+        });
+
+        update();
     }
 
     toggleMobile() {
@@ -100,10 +233,17 @@ class Navigation {
         if (!this.collapse) return;
 
         this.isOpen = true;
-        this.collapse.classList.add(this.options.openClass);
         this.toggle?.setAttribute('aria-expanded', 'true');
         this.toggle?.classList.add('active');
 
+        if (this.drawer) {
+            this.drawer.show();
+            this.dispatchToggle('open');
+            return;
+        }
+
+        this.collapse.classList.add(this.options.openClass);
+
         // Animate open
         this.collapse.style.height = '0';
         this.collapse.style.overflow = 'hidden';
@@ -113,16 +253,13 @@ class Navigation {
         this.collapse.style.transition = 'height 0.3s ease';
         this.collapse.style.height = height + 'px';
 
-        setTimeout(() => {
+        this.cleanup.timeout(() => {
             this.collapse.style.height = '';
             this.collapse.style.overflow = '';
             this.collapse.style.transition = '';
         }, 300);
 
-        // Dispatch event
-        this.element.dispatchEvent(new CustomEvent('navigation:open', {
-            detail: { navigation: this }
-        }));
+        this.dispatchToggle('open');
     }
 
     closeMobile() {
@@ -132,6 +269,12 @@ class Navigation {
         this.toggle?.setAttribute('aria-expanded', 'false');
         this.toggle?.classList.remove('active');
 
+        if (this.drawer) {
+            this.drawer.hide();
+            this.dispatchToggle('close');
+            return;
+        }
+
         // Animate close
         const height = this.collapse.scrollHeight;
         this.collapse.style.height = height + 'px';
@@ -140,7 +283,7 @@ class Navigation {
         this.collapse.style.transition = 'height 0.3s ease';
         this.collapse.style.height = '0';
 
-        setTimeout(() => {
+        this.cleanup.timeout(() => {
             this.collapse.classList.remove(this.options.openClass);
             this.collapse.style.height = '';
             this.collapse.style.overflow = '';
@@ -148,8 +291,11 @@ class Navigation {
             this.collapse.style.display = '';
         }, 300);
 
-        // Dispatch event
-        this.element.dispatchEvent(new CustomEvent('navigation:close', {
+        this.dispatchToggle('close');
+    }
+
+    dispatchToggle(type) {
+        this.element.dispatchEvent(new CustomEvent(`navigation:${type}`, {
             detail: { navigation: this }
         }));
     }
@@ -164,6 +310,7 @@ class Navigation {
             placeholder.style.height = '0';
             placeholder.className = 'navbar-placeholder';
             this.element.parentNode.insertBefore(placeholder, this.element);
+            this.cleanup.add(() => placeholder.remove());
         }
 
         const handleScroll = () => {
@@ -207,8 +354,8 @@ class Navigation {
                     // Scrolling down
                     this.element.style.transform = 'translateY(-100%)';
                 } else {
-                    // Scrolling up
-                    this.element.style.transform = 'translateY(0)';
+                    // Scrolling up; no transform so a fixed drawer inside stays viewport-relative
+                    this.element.style.transform = '';
                 }
             } else {
                 this.element.style.transform = '';
@@ -224,9 +371,9 @@ class Navigation {
 
         // Throttled scroll handler
         let ticking = false;
-        window.addEventListener('scroll', () => {
+        this.cleanup.on(window, 'scroll', () => {
             if (!ticking) {
-                window.requestAnimationFrame(() => {
+                this.cleanup.frame(() => {
                     handleScroll();
                     ticking = false;
                 });
@@ -234,6 +381,10 @@ class Navigation {
             }
         });
 
+        this.cleanup.add(() => {
+            this.element.classList.remove('fixed', this.options.scrolledClass);
+        });
+
         // Initial check
         handleScroll();
     }
@@ -246,7 +397,8 @@ class Navigation {
             const menu = dropdown.querySelector('.dropdown-menu');
 
             if (toggle && menu) {
-                toggle.addEventListener('click', (e) => {
+                this.cleanup.preserve(toggle, ['aria-expanded']);
+                this.cleanup.on(toggle, 'click', (e) => {
                     // Only handle on mobile
                     if (window.innerWidth < this.options.breakpoint) {
                         e.preventDefault();
@@ -272,11 +424,561 @@ class Navigation {
         });
     }
 
-    destroy() {
-        if (this.toggle) {
-            this.toggle.removeEventListener('click', this.toggleMobile);
+    /**
+     * Mega menu panels: hover intent and click on desktop, Escape, outside
+     * clicks and focus leaving close them; below the breakpoint they open
+     * in place and their column headings become accordions
+     */
+    initMega() {
+        this.megaItems = Array.from(this.element.querySelectorAll(this.options.megaSelector))
+            .map(item => ({
+                item,
+                toggle: item.querySelector(':scope > .nav-link'),
+                panel: item.querySelector(`:scope > ${this.options.megaPanelSelector}`),
+                loaded: false
+            }))
+            .filter(entry => entry.toggle && entry.panel);
+
+        if (!this.megaItems.length) return;
+
+        this.megaItems.forEach(entry => {
+            const { item, toggle, panel } = entry;
+
+            this.cleanup.preserve(toggle, ['aria-expanded', 'aria-controls']);
+            this.cleanup.preserve(panel, ['id', 'hidden']);
+            this.cleanup.preserve(item, ['class']);
+
+            panel.id = panel.id || `mega-panel-${++megaCount}`;
+            panel.hidden = true;
+            toggle.setAttribute('aria-expanded', 'false');
+            toggle.setAttribute('aria-controls', panel.id);
+
+            this.cleanup.on(toggle, 'click', (e) => {
+                e.preventDefault();
+
+                // A click on a panel the mouse just opened keeps it open
+                if (this.megaHoverOpened && this.megaOpen === entry) {
+                    this.megaHoverOpened = false;
+                    return;
+                }
+
+                if (this.megaOpen === entry) {
+                    this.closeMega();
+                } else {
+                    this.openMega(entry);
+                }
+            });
+
+            // Arrow down moves into the panel
+            this.cleanup.on(toggle, 'keydown', (e) => {
+                if (e.key !== 'ArrowDown' && e.key !== 'Down') return;
+
+                e.preventDefault();
+                this.openMega(entry);
+
+                const focusable = getFocusable(panel);
+                if (focusable.length) {
+                    focusable[0].focus();
+                }
+            });
+
+            this.cleanup.on(item, 'pointerenter', (e) => {
+                if (e.pointerType === 'mouse' && !this.media.matches) {
+                    this.scheduleMega(entry, this.options.hoverDelay);
+                }
+            });
+
+            this.cleanup.on(item, 'pointerleave', (e) => {
+                if (e.pointerType === 'mouse' && !this.media.matches) {
+                    this.scheduleMega(null, this.options.closeDelay);
+                }
+            });
+
+            // Tabbing out of the item closes it on desktop
+            this.cleanup.on(item, 'focusout', (e) => {
+                if (this.megaOpen === entry && !this.media.matches && e.relatedTarget && !item.contains(e.relatedTarget)) {
+                    this.closeMega();
+                }
+            });
+
+            this.cleanup.on(panel, 'click', (e) => {
+                const heading = e.target.closest('.mega-heading-toggle');
+
+                if (heading) {
+                    this.toggleMegaSection(heading);
+                } else if (e.target.closest('a[href]')) {
+                    this.closeMega();
+
+                    // Links in a panel leave the page like any nav link
+                    if (this.media.matches && this.isOpen) {
+                        this.closeMobile();
+                    }
+                }
+            });
+        });
+
+        this.cleanup.on(document, 'click', (e) => {
+            if (this.megaOpen && !this.megaOpen.item.contains(e.target)) {
+                this.closeMega();
+            }
+        });
+
+        // Capture phase, so the mobile menu stays open when Escape closes a panel
+        this.cleanup.on(document, 'keydown', (e) => {
+            if (e.key !== 'Escape' || !this.megaOpen) return;
+
+            const { item, toggle } = this.megaOpen;
+            const hadFocus = item.contains(document.activeElement);
+
+            e.preventDefault();
+            this.closeMega();
+
+            if (hadFocus) {
+                toggle.focus();
+            }
+        }, true);
+
+        this.cleanup.on(this.media, 'change', () => {
+            this.closeMega();
+            this.setMegaMode(this.media.matches);
+        });
+
+        this.cleanup.add(() => {
+            this.closeMega();
+            this.setMegaMode(false);
+        });
+
+        this.setMegaMode(this.media.matches);
+    }
+
+    /**
+     * Open a mega panel, closing any other
+     */
+    openMega(entry) {
+        this.cleanup.clearTimeout(this.megaTimer);
+        this.megaTimer = null;
+
+        if (this.megaOpen === entry) return;
+
+        this.closeMega();
+        this.loadMega(entry);
+
+        this.megaOpen = entry;
+        entry.item.classList.add(this.options.openClass);
+        entry.toggle.setAttribute('aria-expanded', 'true');
+        entry.panel.hidden = false;
+
+        this.dispatchMega('open', entry);
+    }
+
+    closeMega() {
+        this.cleanup.clearTimeout(this.megaTimer);
+        this.megaTimer = null;
+        this.megaHoverOpened = false;
+
+        const entry = this.megaOpen;
+        if (!entry) return;
+
+        this.megaOpen = null;
+        entry.item.classList.remove(this.options.openClass);
+        entry.toggle.setAttribute('aria-expanded', 'false');
+        entry.panel.hidden = true;
+
+        this.dispatchMega('close', entry);
+    }
+
+    /**
+     * Open a panel, or close the open one when given null, after a delay
+     */
+    scheduleMega(entry, delay) {
+        this.cleanup.clearTimeout(this.megaTimer);
+        this.megaTimer = null;
+
+        // Back on the open item: just cancel a pending close
+        if (entry && entry === this.megaOpen) return;
+
+        this.megaTimer = this.cleanup.timeout(() => {
+            this.megaTimer = null;
+
+            if (entry) {
+                this.openMega(entry);
+                this.megaHoverOpened = true;
+            } else {
+                this.closeMega();
+            }
+        }, delay);
+    }
+
+    dispatchMega(type, entry) {
+        this.element.dispatchEvent(new CustomEvent(`navigation:mega-${type}`, {
+            detail: { navigation: this, item: entry.item, panel: entry.panel }
+        }));
+    }
+
+    /**
+     * Render a panel from its <template>, or the one named by
+     * data-mega-template, the first time it opens
+     */
+    loadMega(entry) {
+        if (entry.loaded) return;
+        entry.loaded = true;
+
+        const { panel } = entry;
+        const selector = panel.getAttribute('data-mega-template');
+        const template = selector ? document.querySelector(selector) : panel.querySelector(':scope > template');
+
+        if (!template) return;
+
+        panel.replaceChildren(template.content.cloneNode(true));
+
+        if (this.media.matches) {
+            this.renderMegaSections(panel);
+        }
+    }
+
+    /**
+     * Switch the column headings between plain headings and accordion toggles
+     */
+    setMegaMode(collapsed) {
+        this.megaSections.forEach(({ heading, button, section, hidden, id }) => {
+            heading.append(...button.childNodes);
+            button.remove();
+            section.hidden = hidden;
+            if (!id) {
+                section.removeAttribute('id');
+            }
+        });
+        this.megaSections = [];
+
+        if (collapsed) {
+            this.megaItems.forEach(entry => this.renderMegaSections(entry.panel));
         }
     }
+
+    renderMegaSections(panel) {
+        panel.querySelectorAll(this.options.megaHeadingSelector).forEach(heading => {
+            const section = heading.nextElementSibling;
+            if (!section) return;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'mega-heading-toggle';
+            button.setAttribute('aria-expanded', 'false');
+
+            this.megaSections.push({ heading, button, section, hidden: section.hidden, id: section.id });
+
+            section.id = section.id || `mega-section-${++megaCount}`;
+            button.setAttribute('aria-controls', section.id);
+            button.append(...heading.childNodes);
+            heading.appendChild(button);
+
+            section.hidden = true;
+        });
+    }
+
+    toggleMegaSection(button) {
+        const section = document.getElementById(button.getAttribute('aria-controls'));
+        const expanded = button.getAttribute('aria-expanded') !== 'true';
+
+        button.setAttribute('aria-expanded', String(expanded));
+        if (section) {
+            section.hidden = !expanded;
+        }
+    }
+
+    /**
+     * Arrow keys across the top level links with a roving tabindex, above
+     * the breakpoint. Down and Escape are left to the dropdowns and mega
+     * panels; focus moving in and out of them is reported as events.
+     */
+    initKeyboard() {
+        const menubar = this.options.keyboard === 'menubar';
+
+        this.menuState = this.menuLinks.map(link => {
+            const item = this.getMenuItem(link);
+            return {
+                link,
+                item: item !== link ? item : null,
+                tabindex: link.getAttribute('tabindex'),
+                role: link.getAttribute('role'),
+                popup: this.megaItems.some(entry => entry.toggle === link) ? link.getAttribute('aria-haspopup') : undefined,
+                itemRole: item !== link ? item.getAttribute('role') : null
+            };
+        });
+        this.menuRole = this.menu.getAttribute('role');
+
+        // The tab stop starts on the current section
+        const current = this.menuLinks.findIndex(link => link.classList.contains(this.options.currentClass) || link.hasAttribute('aria-current'));
+        this.menuIndex = Math.max(current, 0);
+
+        this.cleanup.on(this.menu, 'keydown', (e) => this.handleMenuKeydown(e, menubar));
+        this.cleanup.on(this.menu, 'focusin', (e) => this.handleMenuFocusin(e));
+
+        this.cleanup.on(this.media, 'change', () => this.setKeyboardMode(!this.media.matches));
+        this.cleanup.add(() => this.setKeyboardMode(false));
+
+        this.setKeyboardMode(!this.media.matches);
+    }
+
+    /**
+     * Apply or restore the roving tabindex and, for a menubar, the roles
+     */
+    setKeyboardMode(active) {
+        const menubar = active && this.options.keyboard === 'menubar';
+        const restore = (element, name, value) => {
+            if (value === null) {
+                element.removeAttribute(name);
+            } else {
+                element.setAttribute(name, value);
+            }
+        };
+
+        this.keyboardActive = active;
+        restore(this.menu, 'role', menubar ? 'menubar' : this.menuRole);
+
+        this.menuState.forEach(({ link, item, tabindex, role, popup, itemRole }, index) => {
+            restore(link, 'tabindex', active ? (index === this.menuIndex ? '0' : '-1') : tabindex);
+            restore(link, 'role', menubar ? 'menuitem' : role);
+
+            // Mega toggles announce their panel like dropdown toggles do
+            if (popup !== undefined) {
+                restore(link, 'aria-haspopup', menubar ? 'true' : popup);
+            }
+
+            if (item) {
+                restore(item, 'role', menubar ? 'none' : itemRole);
+            }
+        });
+    }
+
+    handleMenuKeydown(e, menubar) {
+        if (!this.keyboardActive || e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+
+        const index = this.menuLinks.findIndex(link => this.getMenuItem(link).contains(e.target));
+        if (index === -1) return;
+
+        const link = this.menuLinks[index];
+        const onLink = e.target === link;
+        const last = this.menuLinks.length - 1;
+        const rtl = getComputedStyle(this.element).direction === 'rtl';
+        const next = rtl ? 'ArrowLeft' : 'ArrowRight';
+        const prev = rtl ? 'ArrowRight' : 'ArrowLeft';
+
+        // In a menubar, Left and Right also move on from inside a submenu
+        if (!onLink && !(menubar && (e.key === next || e.key === prev) && e.target.matches('a[href], button, [role^="menuitem"]'))) {
+            return;
+        }
+
+        switch (e.key) {
+            case next:
+            case prev: {
+                e.preventDefault();
+
+                // A menubar keeps submenus open while moving across
+                const reopen = menubar && (!onLink || this.isSubmenuOpen(link));
+                const step = e.key === next ? 1 : -1;
+                this.focusMenuLink((index + step + last + 1) % (last + 1), reopen);
+                break;
+            }
+
+            case 'Home':
+                e.preventDefault();
+                this.focusMenuLink(0);
+                break;
+
+            case 'End':
+                e.preventDefault();
+                this.focusMenuLink(last);
+                break;
+
+            case ' ':
+                // Menu items activate on Space, links natively only on Enter
+                if (menubar && link.matches('a[href]') && !this.getSubmenu(link)) {
+                    e.preventDefault();
+                    link.click();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Keep the roving tab stop on the focused top level link and report
+     * focus moving across, into a submenu or back out of it
+     */
+    handleMenuFocusin(e) {
+        if (!this.keyboardActive) return;
+
+        const index = this.menuLinks.findIndex(link => this.getMenuItem(link).contains(e.target));
+        if (index === -1) return;
+
+        const link = this.menuLinks[index];
+        const from = e.relatedTarget;
+
+        if (e.target === link) {
+            this.menuIndex = index;
+            this.menuLinks.forEach((item, i) => item.setAttribute('tabindex', i === index ? '0' : '-1'));
+
+            const returning = from && from !== link && this.getMenuItem(link).contains(from);
+            this.dispatchKeyboard(returning ? 'return' : 'focus', link, index);
+        } else if (from === link) {
+            this.dispatchKeyboard('enter', link, index);
+        }
+    }
+
+    /**
+     * Move focus to a top level link, closing the submenus of the others
+     *
+     * @param {number} index Index of the link
+     * @param {boolean} openSubmenu Also open its submenu and focus into it
+     */
+    focusMenuLink(index, openSubmenu = false) {
+        const link = this.menuLinks[index];
+        if (!link) return;
+
+        this.menuLinks.forEach(item => {
+            if (item !== link) {
+                this.closeSubmenu(item);
+            }
+        });
+
+        link.focus();
+
+        if (openSubmenu) {
+            this.openSubmenu(link);
+        }
+    }
+
+    /**
+     * Element holding a top level link and its submenu
+     */
+    getMenuItem(link) {
+        return link.parentElement === this.menu ? link : link.parentElement;
+    }
+
+    /**
+     * Dropdown instance or mega menu entry a top level link opens
+     *
+     * @returns {Object|null} { dropdown } or { mega }
+     */
+    getSubmenu(link) {
+        const mega = this.megaItems.find(entry => entry.toggle === link);
+        if (mega) return { mega };
+
+        const element = link.closest(this.options.dropdownSelector);
+        const dropdown = element && this.getMenuItem(link).contains(element) ? getInstance(element, Dropdown.NAME) : null;
+
+        return dropdown ? { dropdown } : null;
+    }
+
+    isSubmenuOpen(link) {
+        const submenu = this.getSubmenu(link);
+        if (!submenu) return false;
+
+        return submenu.mega ? this.megaOpen === submenu.mega : submenu.dropdown.isOpen;
+    }
+
+    openSubmenu(link) {
+        const submenu = this.getSubmenu(link);
+        if (!submenu) return;
+
+        if (submenu.mega) {
+            this.openMega(submenu.mega);
+
+            const focusable = getFocusable(submenu.mega.panel);
+            if (focusable.length) {
+                focusable[0].focus();
+            }
+        } else {
+            submenu.dropdown.open();
+            submenu.dropdown.focusItem(0);
+        }
+    }
+
+    closeSubmenu(link) {
+        const submenu = this.getSubmenu(link);
+        if (!submenu) return;
+
+        if (submenu.mega) {
+            if (this.megaOpen === submenu.mega) {
+                this.closeMega();
+            }
+        } else {
+            submenu.dropdown.close(false);
+        }
+    }
+
+    dispatchKeyboard(type, link, index) {
+        this.element.dispatchEvent(new CustomEvent(`navigation:${type}`, {
+            detail: { navigation: this, link, index }
+        }));
+    }
+
+    /**
+     * Mark the links to a URL with aria-current="page"; with currentMatch
+     * 'prefix' and no exact match, the links with the longest section path
+     * above it get aria-current="true". Top level links leading to a marked
+     * link get the current class.
+     *
+     * @param {string} url URL to match, the current location by default
+     * @returns {Array} Links marked
+     */
+    updateCurrent(url = window.location.href) {
+        const target = new URL(url, document.baseURI);
+        const path = normalizePath(target.pathname);
+
+        this.clearCurrent();
+
+        // Same origin page links; in-page anchors are left to ScrollSpy
+        const candidates = Array.from(this.element.querySelectorAll('a[href]'))
+            .filter(link => link.origin === target.origin && !link.hash && !link.getAttribute('href').startsWith('#'));
+
+        let links = candidates.filter(link => normalizePath(link.pathname) === path && (!link.search || link.search === target.search));
+        let value = 'page';
+
+        if (!links.length && this.options.currentMatch === 'prefix') {
+            const sections = candidates
+                .map(link => ({ link, path: normalizePath(link.pathname) }))
+                .filter(entry => entry.path !== '/' && path.startsWith(`${entry.path}/`));
+            const longest = Math.max(0, ...sections.map(entry => entry.path.length));
+
+            links = sections.filter(entry => entry.path.length === longest).map(entry => entry.link);
+            value = 'true';
+        }
+
+        links.forEach(link => {
+            link.setAttribute('aria-current', value);
+            link.classList.add(this.options.currentClass);
+            this.currentMarked.push(link);
+
+            const parent = this.menuLinks.find(item => item !== link && this.getMenuItem(item).contains(link));
+            if (parent && !this.currentMarked.includes(parent)) {
+                parent.classList.add(this.options.currentClass);
+                this.currentMarked.push(parent);
+            }
+        });
+
+        this.element.dispatchEvent(new CustomEvent('navigation:current', {
+            detail: { navigation: this, links, url: target.href }
+        }));
+
+        return links;
+    }
+
+    clearCurrent() {
+        this.currentMarked.forEach(link => {
+            link.removeAttribute('aria-current');
+            link.classList.remove(this.options.currentClass);
+        });
+        this.currentMarked = [];
+    }
+
+    destroy() {
+        this.cleanup.run();
+        this.isOpen = false;
+        this.toggle?.classList.remove('active');
+
+        removeInstance(this.element, Navigation.NAME, this);
+    }
 }
 
 /**
@@ -284,19 +986,32 @@ class Navigation {
  * Highlights navigation items based on scroll position
  */
 class ScrollSpy {
+    static NAME = 'ScrollSpy';
+
+    static defaults = {
+        target: null,
+        offset: 100,
+        activeClass: 'active',
+        smoothScroll: true
+    };
+
     constructor(element, options = {}) {
+        // One instance per element
+        const existing = getInstance(element, ScrollSpy.NAME);
+        if (existing) return existing;
+
         this.element = element;
         this.options = {
-            target: null,
-            offset: 100,
-            activeClass: 'active',
-            smoothScroll: true,
-            ...options
+            ...ScrollSpy.defaults,
+            ...options,
+            ...parseOptions(element, ScrollSpy.defaults)
         };
 
         this.navItems = [];
         this.sections = [];
+        this.cleanup = new Cleanup();
 
+        setInstance(this.element, ScrollSpy.NAME, this);
         this.init();
     }
 
@@ -321,7 +1036,7 @@ class ScrollSpy {
 
                     // Smooth scroll
                     if (this.options.smoothScroll) {
-                        link.addEventListener('click', (e) => {
+                        this.cleanup.on(link, 'click', (e) => {
                             e.preventDefault();
                             const top = section.offsetTop - this.options.offset + 1;
                             window.scrollTo({
@@ -336,9 +1051,9 @@ class ScrollSpy {
 
         // Scroll handler
         let ticking = false;
-        window.addEventListener('scroll', () => {
+        this.cleanup.on(window, 'scroll', () => {
             if (!ticking) {
-                window.requestAnimationFrame(() => {
+                this.cleanup.frame(() => {
                     this.update();
                     ticking = false;
                 });
@@ -389,36 +1104,20 @@ class ScrollSpy {
             }));
         }
     }
-}
 
-// Auto-initialize
-function initNavigation() {
-    // Initialize navbar
-    document.querySelectorAll('.navbar').forEach(element => {
-        if (!element.navigationInstance) {
-            element.navigationInstance = new Navigation(element, {
-                hideOnScroll: element.hasAttribute('data-hide-on-scroll'),
-                stickyOffset: parseInt(element.getAttribute('data-sticky-offset')) || 0
-            });
-        }
-    });
-
-    // Initialize scroll spy
-    document.querySelectorAll('[data-scrollspy]').forEach(element => {
-        if (!element.scrollSpyInstance) {
-            element.scrollSpyInstance = new ScrollSpy(element, {
-                target: element.getAttribute('data-scrollspy-target'),
-                offset: parseInt(element.getAttribute('data-scrollspy-offset')) || 100
-            });
-        }
-    });
-}
+    destroy() {
+        this.cleanup.run();
+
+        this.navItems.forEach(item => {
+            item.classList.remove(this.options.activeClass);
+            (item.closest('.nav-item') || item.parentElement)?.classList.remove(this.options.activeClass);
+        });
 
-// Initialize on DOM ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initNavigation);
-} else {
-    initNavigation();
+        this.navItems = [];
+        this.sections = [];
+
+        removeInstance(this.element, ScrollSpy.NAME, this);
+    }
 }
 
 export { Navigation, ScrollSpy };
@@ -0,0 +1,297 @@
+/**
+ * Offcanvas Component
+ * Side drawer sliding in from any edge of the viewport
+ */
+
+import Cleanup from '../core/cleanup.js';
+import { createFocusTrap, focusFirst } from '../core/focus.js';
+import { getInstance, removeInstance, setInstance } from '../core/instances.js';
+import { modalManager } from '../core/modal-manager.js';
+import { parseOptions } from '../core/options.js';
+
+const PLACEMENTS = ['start', 'end', 'top', 'bottom'];
+
+class Offcanvas {
+    static NAME = 'Offcanvas';
+
+    static triggersBound = false;
+
+    static defaults = {
+        placement: '',
+        backdrop: true,
+        keyboard: true,
+        scroll: false,
+        focus: true,
+        initialFocus: null,
+        returnFocus: true,
+        swipe: true,
+        swipeThreshold: 80,
+        backdropClass: 'modal-backdrop',
+        openClass: 'show',
+        bodyOpenClass: 'offcanvas-open',
+        duration: 300
+    };
+
+    constructor(element, options = {}) {
+        // One instance per element
+        const existing = getInstance(element, Offcanvas.NAME);
+        if (existing) return existing;
+
+        this.element = element;
+        this.options = {
+            ...Offcanvas.defaults,
+            ...options,
+            ...parseOptions(element, Offcanvas.defaults)
+        };
+
+        // Body scrolling stays enabled, so no scroll-locking body class
+        if (this.options.scroll) {
+            this.options.bodyOpenClass = '';
+        }
+
+        this.isOpen = false;
+        this.backdrop = null;
+        this.hideTimeout = null;
+        this.focusTrap = null;
+        this.focusableElements = null;
+        this.cleanup = new Cleanup();
+
+        setInstance(this.element, Offcanvas.NAME, this);
+        this.init();
+    }
+
+    init() {
+        this.cleanup.preserve(this.element, ['class', 'role', 'aria-modal', 'aria-hidden', 'tabindex', 'style', 'data-modal-level']);
+
+        // Placement from option or class, start by default
+        this.placement = PLACEMENTS.find(item => this.element.classList.contains(`offcanvas-${item}`));
+        if (!this.placement || this.options.placement) {
+            if (this.placement) {
+                this.element.classList.remove(`offcanvas-${this.placement}`);
+            }
+            this.placement = PLACEMENTS.includes(this.options.placement) ? this.options.placement : 'start';
+            this.element.classList.add(`offcanvas-${this.placement}`);
+        }
+
+        this.element.setAttribute('aria-hidden', 'true');
+        if (!this.element.hasAttribute('tabindex')) {
+            this.element.setAttribute('tabindex', '-1');
+        }
+
+        // Close buttons
+        this.cleanup.on(this.element, 'click', (e) => {
+            if (e.target.closest('[data-offcanvas-close], .offcanvas-close')) {
+                e.preventDefault();
+                this.hide();
+            }
+        });
+
+        // Trap focus while open; with a backdrop the rest of the page is inert,
+        // except the backdrop itself so it can still be clicked
+        this.focusTrap = createFocusTrap(this.element, {
+            initialFocus: false,
+            returnFocus: this.options.returnFocus,
+            inert: !!this.options.backdrop,
+            exclude: () => [this.backdrop]
+        });
+        this.cleanup.add(() => this.focusTrap.deactivate({ returnFocus: false }));
+
+        if (this.options.swipe) {
+            this.initSwipe();
+        }
+    }
+
+    show() {
+        if (this.isOpen) return;
+
+        this.isOpen = true;
+
+        // Reopened while still closing
+        this.cleanup.clearTimeout(this.hideTimeout);
+        this.hideTimeout = null;
+        this.removeBackdrop();
+
+        if (this.options.backdrop) {
+            this.createBackdrop();
+        }
+
+        // Layer above any open modal or drawer
+        modalManager.push(this);
+        this.focusTrap.activate();
+
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-modal', 'true');
+        this.element.setAttribute('aria-hidden', 'false');
+
+        // Force reflow
+        this.element.offsetHeight;
+
+        this.element.classList.add(this.options.openClass);
+        if (this.backdrop) {
+            this.backdrop.classList.add(this.options.openClass);
+        }
+
+        if (this.options.focus) {
+            this.cleanup.timeout(() => {
+                this.setFocus();
+            }, this.options.duration);
+        }
+
+        this.element.dispatchEvent(new CustomEvent('offcanvas:show', {
+            detail: { offcanvas: this }
+        }));
+    }
+
+    hide() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        modalManager.remove(this, false);
+
+        this.element.classList.remove(this.options.openClass);
+        this.element.style.transform = '';
+        if (this.backdrop) {
+            this.backdrop.classList.remove(this.options.openClass);
+        }
+
+        // Hide after animation
+        this.hideTimeout = this.cleanup.timeout(() => {
+            this.hideTimeout = null;
+            this.element.style.zIndex = '';
+            this.element.removeAttribute('role');
+            this.element.removeAttribute('aria-modal');
+            this.element.removeAttribute('data-modal-level');
+            this.element.setAttribute('aria-hidden', 'true');
+
+            modalManager.release(this);
+            this.removeBackdrop();
+
+            // Release the background and restore focus
+            this.focusTrap.deactivate();
+
+            this.element.dispatchEvent(new CustomEvent('offcanvas:hidden', {
+                detail: { offcanvas: this }
+            }));
+        }, this.options.duration);
+
+        this.element.dispatchEvent(new CustomEvent('offcanvas:hide', {
+            detail: { offcanvas: this }
+        }));
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    createBackdrop() {
+        this.backdrop = document.createElement('div');
+        this.backdrop.className = this.options.backdropClass;
+        document.body.appendChild(this.backdrop);
+
+        this.backdrop.addEventListener('click', () => this.hide());
+    }
+
+    removeBackdrop() {
+        if (this.backdrop) {
+            this.backdrop.remove();
+            this.backdrop = null;
+        }
+    }
+
+    setFocus() {
+        this.focusableElements = focusFirst(this.element, this.options.initialFocus);
+    }
+
+    /**
+     * Drag the drawer towards its edge to close it
+     */
+    initSwipe() {
+        const horizontal = this.placement === 'start' || this.placement === 'end';
+        const direction = this.placement === 'start' || this.placement === 'top' ? -1 : 1;
+        let start = null;
+        let distance = 0;
+        let dragging = false;
+
+        this.cleanup.on(this.element, 'touchstart', (e) => {
+            if (!this.isOpen || e.touches.length !== 1) return;
+
+            start = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+            distance = 0;
+            dragging = false;
+        }, { passive: true });
+
+        this.cleanup.on(this.element, 'touchmove', (e) => {
+            if (!start) return;
+
+            const dx = e.touches[0].clientX - start.x;
+            const dy = e.touches[0].clientY - start.y;
+
+            // Leave scrolling along the other axis alone
+            if (!dragging) {
+                if (Math.abs(horizontal ? dx : dy) <= Math.abs(horizontal ? dy : dx)) {
+                    start = null;
+                    return;
+                }
+                dragging = true;
+                this.element.style.transition = 'none';
+            }
+
+            distance = Math.max(0, (horizontal ? dx : dy) * direction);
+            const offset = distance * direction;
+            this.element.style.transform = horizontal ? `translateX(${offset}px)` : `translateY(${offset}px)`;
+        }, { passive: true });
+
+        this.cleanup.on(this.element, 'touchend', () => {
+            if (!start) return;
+
+            start = null;
+            if (!dragging) return;
+
+            dragging = false;
+            this.element.style.transition = '';
+
+            if (distance >= this.options.swipeThreshold) {
+                this.hide();
+            } else {
+                this.element.style.transform = '';
+            }
+        });
+    }
+
+    destroy() {
+        this.cleanup.run();
+        this.isOpen = false;
+        this.removeBackdrop();
+        modalManager.remove(this, false);
+        modalManager.release(this);
+
+        removeInstance(this.element, Offcanvas.NAME, this);
+    }
+
+    /**
+     * Bind [data-offcanvas-target] triggers once, via delegation
+     */
+    static bindTriggers() {
+        if (Offcanvas.triggersBound) return;
+        Offcanvas.triggersBound = true;
+
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-offcanvas-target]');
+            if (!trigger) return;
+
+            e.preventDefault();
+            const target = document.querySelector(trigger.getAttribute('data-offcanvas-target'));
+
+            if (target) {
+                const instance = getInstance(target, Offcanvas.NAME) || new Offcanvas(target);
+                instance.toggle();
+            }
+        });
+    }
+}
+
+export default Offcanvas;
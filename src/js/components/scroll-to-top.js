@@ -3,7 +3,12 @@
  * Standalone back-to-top button with progress indicator support
  */
 
+import Cleanup from '../core/cleanup.js';
+import { getInstance, removeInstance, setInstance } from '../core/instances.js';
+
 class ScrollToTop {
+    static NAME = 'ScrollToTop';
+
     constructor(options = {}) {
         this.options = {
             selector: '.back-to-top',
@@ -21,7 +26,13 @@ class ScrollToTop {
         };
 
         this.button = document.querySelector(this.options.selector);
+
+        // One instance per button
+        const existing = getInstance(this.button, ScrollToTop.NAME);
+        if (existing) return existing;
+
         this.progressRing = null;
+        this.cleanup = new Cleanup();
         this.circumference = 0;
         this.isVisible = false;
 
@@ -47,19 +58,22 @@ class ScrollToTop {
 
         if (!this.button) return;
 
+        setInstance(this.button, ScrollToTop.NAME, this);
+        this.cleanup.preserve(this.button, ['aria-label', 'role', 'tabindex', 'aria-hidden']);
+
         // Set up progress ring if enabled
         if (this.options.showProgress) {
             this.setupProgress();
         }
 
         // Click handler
-        this.button.addEventListener('click', (e) => {
+        this.cleanup.on(this.button, 'click', (e) => {
             e.preventDefault();
             this.scrollToTop();
         });
 
         // Keyboard support
-        this.button.addEventListener('keydown', (e) => {
+        this.cleanup.on(this.button, 'keydown', (e) => {
             if (e.key === 'Enter' || e.key === ' ') {
                 e.preventDefault();
                 this.scrollToTop();
@@ -71,7 +85,7 @@ class ScrollToTop {
             this.update();
         }, 100);
 
-        window.addEventListener('scroll', this.handleScroll, { passive: true });
+        this.cleanup.on(window, 'scroll', this.handleScroll, { passive: true });
 
         // Set accessibility attributes
         this.button.setAttribute('aria-label', 'Scroll to top');
@@ -110,6 +124,7 @@ class ScrollToTop {
         if (this.progressRing) {
             const radius = this.progressRing.getAttribute('r');
             this.circumference = 2 * Math.PI * radius;
+            this.cleanup.preserve(this.progressRing, ['style']);
             this.progressRing.style.strokeDasharray = `${this.circumference} ${this.circumference}`;
             this.progressRing.style.strokeDashoffset = this.circumference;
         }
@@ -211,8 +226,9 @@ class ScrollToTop {
     destroy() {
         if (!this.button) return;
 
-        window.removeEventListener('scroll', this.handleScroll);
-        this.button.removeEventListener('click', this.scrollToTop);
+        this.cleanup.run();
+        this.button.classList.remove(this.options.showClass);
+        removeInstance(this.button, ScrollToTop.NAME, this);
 
         if (this.options.createButton) {
             this.button.remove();
@@ -222,22 +238,4 @@ class ScrollToTop {
     }
 }
 
-// Auto-initialize
-function initScrollToTop() {
-    const button = document.querySelector('.back-to-top');
-
-    if (button && !button.scrollToTopInstance) {
-        button.scrollToTopInstance = new ScrollToTop({
-            showProgress: button.classList.contains('back-to-top-progress')
-        });
-    }
-}
-
-// Initialize on DOM ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initScrollToTop);
-} else {
-    initScrollToTop();
-}
-
 export default ScrollToTop;
\ No newline at end of file
@@ -3,8 +3,21 @@
  * Handles smooth scrolling, back to top, and scroll animations
  */
 
+import Cleanup from '../core/cleanup.js';
+import { getInstance, removeInstance, setInstance } from '../core/instances.js';
+import { parseOptions } from '../core/options.js';
+
 class SmoothScroll {
+    static NAME = 'SmoothScroll';
+
     constructor(options = {}) {
+        // One instance per document; later calls update its options
+        const existing = getInstance(document.documentElement, SmoothScroll.NAME);
+        if (existing) {
+            Object.assign(existing.options, options);
+            return existing;
+        }
+
         this.options = {
             selector: 'a[href^="#"]:not([href="#"])',
             offset: 0,
@@ -27,16 +40,26 @@ class SmoothScroll {
             easeInOutQuart: t => t < 0.5 ? 8 * t * t * t * t : 1 - 8 * (--t) * t * t * t
         };
 
+        this.cleanup = new Cleanup();
+
+        setInstance(document.documentElement, SmoothScroll.NAME, this);
         this.init();
     }
 
     init() {
-        document.querySelectorAll(this.options.selector).forEach(link => {
-            link.addEventListener('click', (e) => this.handleClick(e, link));
+        // Delegated so links added later are handled too
+        this.cleanup.on(document, 'click', (e) => {
+            const link = e.target.closest(this.options.selector);
+            if (link) {
+                this.handleClick(e, link);
+            }
         });
     }
 
     handleClick(e, link) {
+        // Tabs, scroll spies and the like handle their own links
+        if (e.defaultPrevented) return;
+
         const href = link.getAttribute('href');
         const target = document.querySelector(href);
 
@@ -122,12 +145,19 @@ class SmoothScroll {
 
         requestAnimationFrame(animate);
     }
+
+    destroy() {
+        this.cleanup.run();
+        removeInstance(document.documentElement, SmoothScroll.NAME, this);
+    }
 }
 
 /**
  * Back to Top Button
  */
 class BackToTop {
+    static NAME = 'BackToTop';
+
     constructor(options = {}) {
         this.options = {
             selector: '.back-to-top',
@@ -139,17 +169,26 @@ class BackToTop {
         };
 
         this.button = document.querySelector(this.options.selector);
+
+        // One instance per button
+        const existing = getInstance(this.button, BackToTop.NAME);
+        if (existing) return existing;
+
         this.smoothScroll = new SmoothScroll();
         this.isVisible = false;
+        this.cleanup = new Cleanup();
 
         if (this.button) {
+            setInstance(this.button, BackToTop.NAME, this);
             this.init();
         }
     }
 
     init() {
+        this.cleanup.preserve(this.button, ['aria-hidden']);
+
         // Click handler
-        this.button.addEventListener('click', (e) => {
+        this.cleanup.on(this.button, 'click', (e) => {
             e.preventDefault();
             this.smoothScroll.scrollToTop({
                 duration: this.options.duration,
@@ -159,9 +198,9 @@ class BackToTop {
 
         // Scroll handler
         let ticking = false;
-        window.addEventListener('scroll', () => {
+        this.cleanup.on(window, 'scroll', () => {
             if (!ticking) {
-                window.requestAnimationFrame(() => {
+                this.cleanup.frame(() => {
                     this.toggleVisibility();
                     ticking = false;
                 });
@@ -190,27 +229,46 @@ class BackToTop {
             }
         }
     }
+
+    destroy() {
+        this.cleanup.run();
+        this.button?.classList.remove(this.options.showClass);
+        this.isVisible = false;
+
+        removeInstance(this.button, BackToTop.NAME, this);
+    }
 }
 
 /**
  * Scroll Reveal Animation
  */
 class ScrollReveal {
+    static NAME = 'ScrollReveal';
+
+    static defaults = {
+        selector: '[data-scroll-reveal]',
+        rootMargin: '0px 0px -100px 0px',
+        threshold: 0,
+        activeClass: 'revealed',
+        once: true,
+        delay: 0
+    };
+
     constructor(options = {}) {
+        // One instance per document
+        const existing = getInstance(document.documentElement, ScrollReveal.NAME);
+        if (existing) return existing;
+
         this.options = {
-            selector: '[data-scroll-reveal]',
-            rootMargin: '0px 0px -100px 0px',
-            threshold: 0,
-            activeClass: 'revealed',
-            once: true,
+            ...ScrollReveal.defaults,
             ...options
         };
 
         this.elements = document.querySelectorAll(this.options.selector);
+        this.cleanup = new Cleanup();
 
-        if (this.elements.length > 0) {
-            this.init();
-        }
+        setInstance(document.documentElement, ScrollReveal.NAME, this);
+        this.init();
     }
 
     init() {
@@ -235,35 +293,71 @@ class ScrollReveal {
         }
     }
 
+    /**
+     * Watch an element added after initialization
+     *
+     * @returns {Object} Handle whose destroy() stops watching the element
+     */
+    add(element) {
+        if (this.observer) {
+            this.observer.observe(element);
+        } else {
+            element.classList.add(this.getElementOptions(element).activeClass);
+        }
+
+        return {
+            element,
+            destroy: () => this.observer?.unobserve(element)
+        };
+    }
+
     handleIntersect(entries) {
         entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                const element = entry.target;
-                const delay = element.getAttribute('data-scroll-delay') || 0;
+            const element = entry.target;
+            const options = this.getElementOptions(element);
 
-                setTimeout(() => {
-                    element.classList.add(this.options.activeClass);
+            if (entry.isIntersecting) {
+                this.cleanup.timeout(() => {
+                    element.classList.add(options.activeClass);
 
                     // Dispatch event
                     element.dispatchEvent(new CustomEvent('scrollreveal:reveal', {
                         detail: { element }
                     }));
-                }, parseInt(delay));
+                }, options.delay);
 
                 // Unobserve if once
-                if (this.options.once) {
+                if (options.once) {
                     this.observer.unobserve(element);
                 }
-            } else if (!this.options.once) {
-                entry.target.classList.remove(this.options.activeClass);
+            } else if (!options.once) {
+                element.classList.remove(options.activeClass);
             }
         });
     }
 
+    getElementOptions(element) {
+        const options = {
+            ...this.options,
+            ...parseOptions(element, ScrollReveal.defaults)
+        };
+
+        if (element.hasAttribute('data-scroll-delay')) {
+            options.delay = parseInt(element.getAttribute('data-scroll-delay')) || 0;
+        }
+
+        return options;
+    }
+
     destroy() {
+        this.cleanup.run();
+
         if (this.observer) {
             this.observer.disconnect();
+            this.observer = null;
         }
+
+        removeInstance(document.documentElement, ScrollReveal.NAME, this);
     }
 }
 
@@ -271,6 +365,8 @@ class ScrollReveal {
  * Scroll Progress Indicator
  */
 class ScrollProgress {
+    static NAME = 'ScrollProgress';
+
     constructor(options = {}) {
         this.options = {
             selector: '.scroll-progress',
@@ -284,7 +380,13 @@ class ScrollProgress {
 
         this.container = document.querySelector(this.options.selector);
 
+        // One instance per progress bar
+        const existing = getInstance(this.container, ScrollProgress.NAME);
+        if (existing) return existing;
+
+        this.cleanup = new Cleanup();
         this.init();
+        setInstance(this.container, ScrollProgress.NAME, this);
     }
 
     init() {
@@ -314,15 +416,20 @@ class ScrollProgress {
 
             this.container.appendChild(this.bar);
             document.body.appendChild(this.container);
+
+            // Only remove the bar we created
+            const container = this.container;
+            this.cleanup.add(() => container.remove());
         } else {
             this.bar = this.container.querySelector(this.options.barSelector) || this.container;
+            this.cleanup.preserve(this.bar, ['style']);
         }
 
         // Scroll handler
         let ticking = false;
-        window.addEventListener('scroll', () => {
+        this.cleanup.on(window, 'scroll', () => {
             if (!ticking) {
-                window.requestAnimationFrame(() => {
+                this.cleanup.frame(() => {
                     this.update();
                     ticking = false;
                 });
@@ -348,9 +455,8 @@ class ScrollProgress {
     }
 
     destroy() {
-        if (this.container && this.container.parentNode) {
-            this.container.parentNode.removeChild(this.container);
-        }
+        removeInstance(this.container, ScrollProgress.NAME, this);
+        this.cleanup.run();
     }
 }
 
@@ -358,15 +464,21 @@ class ScrollProgress {
  * Infinite Scroll
  */
 class InfiniteScroll {
+    static NAME = 'InfiniteScroll';
+
+    static defaults = {
+        container: null,
+        loadMore: null,
+        threshold: 200,
+        loading: false,
+        hasMore: true,
+        loadingClass: 'loading',
+        onLoad: null
+    };
+
     constructor(options = {}) {
         this.options = {
-            container: null,
-            loadMore: null,
-            threshold: 200,
-            loading: false,
-            hasMore: true,
-            loadingClass: 'loading',
-            onLoad: null,
+            ...InfiniteScroll.defaults,
             ...options
         };
 
@@ -374,7 +486,15 @@ class InfiniteScroll {
             ? document.querySelector(this.options.container)
             : this.options.container;
 
+        // One instance per container
+        const existing = getInstance(this.container, InfiniteScroll.NAME);
+        if (existing) return existing;
+
+        this.cleanup = new Cleanup();
+
         if (this.container) {
+            Object.assign(this.options, parseOptions(this.container, InfiniteScroll.defaults));
+            setInstance(this.container, InfiniteScroll.NAME, this);
             this.init();
         }
     }
@@ -382,9 +502,9 @@ class InfiniteScroll {
     init() {
         let ticking = false;
 
-        window.addEventListener('scroll', () => {
+        this.cleanup.on(window, 'scroll', () => {
             if (!ticking) {
-                window.requestAnimationFrame(() => {
+                this.cleanup.frame(() => {
                     this.checkScroll();
                     ticking = false;
                 });
@@ -415,8 +535,13 @@ class InfiniteScroll {
         this.container.dispatchEvent(new CustomEvent('infinitescroll:loading'));
 
         try {
-            if (this.options.onLoad) {
-                const result = await this.options.onLoad();
+            // Markup can name a global function, e.g. data-kpf-on-load="loadMorePosts"
+            const onLoad = typeof this.options.onLoad === 'string'
+                ? window[this.options.onLoad]
+                : this.options.onLoad;
+
+            if (typeof onLoad === 'function') {
+                const result = await onLoad.call(this, this);
 
                 if (result === false) {
                     this.options.hasMore = false;
@@ -443,38 +568,11 @@ class InfiniteScroll {
     }
 
     destroy() {
-        window.removeEventListener('scroll', this.checkScroll);
+        this.cleanup.run();
+        removeInstance(this.container, InfiniteScroll.NAME, this);
     }
 }
 
-// Auto-initialize
-function initScroll() {
-    // Initialize smooth scroll
-    new SmoothScroll();
-
-    // Initialize back to top
-    if (document.querySelector('.back-to-top')) {
-        new BackToTop();
-    }
-
-    // Initialize scroll reveal
-    if (document.querySelector('[data-scroll-reveal]')) {
-        new ScrollReveal();
-    }
-
-    // Initialize scroll progress
-    if (document.querySelector('[data-scroll-progress]')) {
-        new ScrollProgress();
-    }
-}
-
-// Initialize on DOM ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initScroll);
-} else {
-    initScroll();
-}
-
 export {
     BackToTop, SmoothScroll as default, InfiniteScroll, ScrollProgress, ScrollReveal
 };
@@ -1,79 +1,615 @@
 /**
  * Tabs Component
- * Handles tab switching and content display
+ * Handles tab switching and content display, with panes loaded on first use
  */
 
+import Cleanup from '../core/cleanup.js';
+import { getInstance, removeInstance, setInstance } from '../core/instances.js';
+import { parseOptions } from '../core/options.js';
+import { applyContent, fetchContent } from '../core/remote.js';
+import Dropdown from './dropdown.js';
+
+let tabCount = 0;
+
 class Tabs {
+    static NAME = 'Tabs';
+
+    // Pane loading messages and control labels, override to localize
+    static strings = {
+        loading: 'Loading…',
+        error: 'The content could not be loaded.',
+        retry: 'Try again',
+        select: 'Choose a section',
+        scrollPrev: 'Scroll tabs back',
+        scrollNext: 'Scroll tabs forward',
+        more: 'More'
+    };
+
+    static defaults = {
+        activeClass: 'active',
+        fadeEffect: true,
+        fadeDuration: 150,
+        // 'horizontal' or 'vertical'; vertical by default for .tabs-vertical
+        orientation: '',
+        // 'auto' activates on arrow keys, 'manual' only moves focus and
+        // activates on Enter or Space
+        activation: 'auto',
+        // Keep the active tab in the URL: as the #hash or as ?queryKey=name,
+        // adding history entries ('push') or not ('replace')
+        history: false,
+        historyType: 'hash',
+        historyMethod: 'push',
+        queryKey: 'tab',
+        remoteTemplate: null,
+        remoteCache: false,
+        spinnerClass: 'spinner spinner-primary',
+        // Below the breakpoint render as an 'accordion' or a 'select'
+        responsive: '',
+        breakpoint: 768,
+        // Keep tabs on one line: 'scroll' adds scroll buttons, 'menu' moves
+        // tabs that do not fit into a More dropdown
+        overflow: ''
+    };
+
     constructor(element, options = {}) {
+        // One instance per element
+        const existing = getInstance(element, Tabs.NAME);
+        if (existing) return existing;
+
         this.element = element;
         this.options = {
-            activeClass: 'active',
-            fadeEffect: true,
-            fadeDuration: 150,
-            history: false,
-            ...options
+            ...Tabs.defaults,
+            ...options,
+            ...parseOptions(element, Tabs.defaults)
         };
 
         this.tabList = this.element.querySelector('.tab-list');
         this.tabLinks = this.element.querySelectorAll('.tab-link');
         this.tabContent = this.element.querySelector('.tab-content');
         this.tabPanes = this.element.querySelectorAll('.tab-pane');
-
+        this.requests = new Map();
+        this.loaded = new WeakSet();
+        this.mode = 'tabs';
+        this.headers = [];
+        this.select = null;
+        this.sectionClosed = false;
+        this.orientation = this.options.orientation === 'vertical' || (!this.options.orientation && this.element.classList.contains('tabs-vertical'))
+            ? 'vertical'
+            : 'horizontal';
+        this.initialLink = null;
+        this.overflowBar = null;
+        this.overflowFrame = null;
+        this.more = null;
+        this.moreDropdown = null;
+        this.cleanup = new Cleanup();
+
+        setInstance(this.element, Tabs.NAME, this);
         this.init();
     }
 
     init() {
         // Set up click handlers
         this.tabLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
+            this.cleanup.on(link, 'click', (e) => {
                 e.preventDefault();
                 this.activate(link);
             });
 
             // Keyboard navigation
-            link.addEventListener('keydown', (e) => {
+            this.cleanup.on(link, 'keydown', (e) => {
                 this.handleKeydown(e, link);
             });
         });
 
-        // Handle hash on load
-        if (this.options.history && window.location.hash) {
-            const hashTarget = this.element.querySelector(
-                `.tab-link[href="${window.location.hash}"], .tab-link[data-target="${window.location.hash}"]`
-            );
-            if (hashTarget) {
-                this.activate(hashTarget, false);
-            }
+        if (this.options.orientation === 'vertical') {
+            this.cleanup.preserve(this.element, ['class']);
+            this.element.classList.add('tabs-vertical');
         }
 
-        // Listen for hash changes
+        // Set ARIA attributes, before anything changes them
+        this.setupAccessibility();
+
+        // Restore the tab from the URL and follow back/forward
         if (this.options.history) {
-            window.addEventListener('hashchange', () => {
-                if (window.location.hash) {
-                    const hashTarget = this.element.querySelector(
-                        `.tab-link[href="${window.location.hash}"], .tab-link[data-target="${window.location.hash}"]`
-                    );
-                    if (hashTarget) {
-                        this.activate(hashTarget, false);
-                    }
+            this.initHistory();
+        }
+
+        // Retry after a failed load
+        this.cleanup.on(this.element, 'click', (e) => {
+            const retry = e.target.closest('[data-tab-retry]');
+            const pane = retry ? retry.closest('.tab-pane') : null;
+
+            if (pane) {
+                e.preventDefault();
+                this.load(pane, true);
+            }
+        });
+
+        // Abort pending requests on destroy
+        this.cleanup.add(() => {
+            this.requests.forEach(request => {
+                if (typeof request.abort === 'function') {
+                    request.abort();
                 }
             });
+            this.requests.clear();
+        });
+
+        // The pane active on load may be lazy as well
+        const activePane = this.element.querySelector(`.tab-pane.${this.options.activeClass}`);
+        if (activePane) {
+            this.load(activePane);
         }
 
-        // Set ARIA attributes
-        this.setupAccessibility();
+        if (this.tabList && (this.options.overflow === 'scroll' || this.options.overflow === 'menu')) {
+            this.initOverflow();
+        }
+
+        if (this.options.responsive === 'accordion' || this.options.responsive === 'select') {
+            this.initResponsive();
+        }
+    }
+
+    /**
+     * Wrap the tab list in a single-line bar with scroll buttons or a More menu
+     */
+    initOverflow() {
+        const bar = document.createElement('div');
+        bar.className = `tab-overflow tab-overflow-${this.options.overflow}`;
+        this.tabList.before(bar);
+        bar.appendChild(this.tabList);
+        this.overflowBar = bar;
+
+        if (this.options.overflow === 'scroll') {
+            this.scrollPrev = this.createScrollButton(-1);
+            this.scrollNext = this.createScrollButton(1);
+            bar.prepend(this.scrollPrev);
+            bar.append(this.scrollNext);
+
+            this.cleanup.on(this.tabList, 'scroll', () => this.scheduleOverflow(), { passive: true });
+        } else {
+            this.getTabItems().forEach(({ item }) => this.cleanup.preserve(item, ['hidden']));
+            this.more = this.createMoreMenu();
+            bar.append(this.more);
+        }
+
+        // Recalculate whenever the available width changes
+        if ('ResizeObserver' in window) {
+            const observer = new ResizeObserver(() => this.scheduleOverflow());
+            observer.observe(bar);
+            this.cleanup.add(() => observer.disconnect());
+        } else {
+            this.cleanup.on(window, 'resize', () => this.scheduleOverflow());
+        }
+
+        this.cleanup.add(() => {
+            if (this.moreDropdown) {
+                this.moreDropdown.destroy();
+                this.moreDropdown = null;
+            }
+            bar.replaceWith(this.tabList);
+            this.overflowBar = null;
+        });
+
+        this.updateOverflow();
+
+        const active = Array.from(this.tabLinks).find(link => link.classList.contains(this.options.activeClass));
+        if (active) {
+            this.scrollToTab(active, false);
+        }
+    }
+
+    createScrollButton(direction) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `tab-scroll-btn tab-scroll-${direction < 0 ? 'prev' : 'next'}`;
+        button.setAttribute('aria-label', direction < 0 ? Tabs.strings.scrollPrev : Tabs.strings.scrollNext);
+
+        // Keyboard users move through the tabs with the arrow keys instead
+        button.setAttribute('tabindex', '-1');
+        button.setAttribute('aria-hidden', 'true');
+
+        this.cleanup.on(button, 'click', () => {
+            const list = this.tabList;
+            const rtl = getComputedStyle(list).direction === 'rtl';
+            this.scrollListBy(direction * (rtl ? -1 : 1) * list.clientWidth * 0.8, true);
+        });
+
+        return button;
+    }
+
+    createMoreMenu() {
+        const more = document.createElement('div');
+        more.className = 'dropdown tab-more';
+        more.hidden = true;
+        more.innerHTML = '<button type="button" class="tab-link tab-more-toggle dropdown-toggle"></button><div class="dropdown-menu"></div>';
+        more.querySelector('.dropdown-toggle').textContent = Tabs.strings.more;
+
+        this.moreDropdown = new Dropdown(more, { placement: 'bottom-end' });
+
+        return more;
+    }
+
+    /**
+     * Tab links with the element that is shown or hidden for each
+     */
+    getTabItems() {
+        return Array.from(this.tabLinks, link => ({
+            link,
+            item: link.closest('.tab-item') || link
+        }));
+    }
+
+    scheduleOverflow() {
+        if (this.overflowFrame) return;
+
+        this.overflowFrame = this.cleanup.frame(() => {
+            this.overflowFrame = null;
+            this.updateOverflow();
+        });
+    }
+
+    /**
+     * Update the scroll buttons, or which tabs live in the More menu
+     */
+    updateOverflow() {
+        const bar = this.overflowBar;
+        if (!bar || bar.hidden) return;
+
+        const list = this.tabList;
+
+        if (this.options.overflow === 'scroll') {
+            const max = list.scrollWidth - list.clientWidth;
+            const position = Math.abs(list.scrollLeft);
+
+            bar.classList.toggle('is-overflowing', max > 1);
+            this.scrollPrev.disabled = position <= 1;
+            this.scrollNext.disabled = position >= max - 1;
+            return;
+        }
+
+        const items = this.getTabItems();
+        items.forEach(({ item }) => {
+            item.hidden = false;
+        });
+        this.more.hidden = true;
+
+        if (list.scrollWidth <= list.clientWidth + 1) {
+            this.renderMoreItems([]);
+            return;
+        }
+
+        // The list shrinks to make room for the More toggle
+        this.more.hidden = false;
+        const available = list.clientWidth;
+        const gap = parseFloat(getComputedStyle(list).columnGap) || 0;
+        const widths = items.map(({ item }) => item.getBoundingClientRect().width);
+        const visible = [];
+        let used = 0;
+
+        // Tabs in order while they fit
+        for (let index = 0; index < items.length; index++) {
+            const width = widths[index] + (visible.length ? gap : 0);
+            if (used + width > available) break;
+            visible.push(index);
+            used += width;
+        }
+
+        // The active tab always stays in the bar, in place of the last ones
+        const active = items.findIndex(({ link }) => link.classList.contains(this.options.activeClass));
+        if (active > -1 && !visible.includes(active)) {
+            while (visible.length && used + widths[active] + gap > available) {
+                used -= widths[visible.pop()] + (visible.length ? gap : 0);
+            }
+            visible.push(active);
+        }
+
+        const hidden = items.filter((entry, index) => !visible.includes(index));
+        hidden.forEach(({ item }) => {
+            item.hidden = true;
+        });
+
+        this.renderMoreItems(hidden);
+    }
+
+    renderMoreItems(entries) {
+        const menu = this.more.querySelector('.dropdown-menu');
+
+        menu.replaceChildren(...entries.map(({ link }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'dropdown-item';
+            button.append(...Array.from(link.childNodes, node => node.cloneNode(true)));
+
+            if (link.classList.contains('disabled') || link.hasAttribute('disabled')) {
+                button.classList.add('disabled');
+                button.setAttribute('aria-disabled', 'true');
+            }
+
+            // Focus the tab before the dropdown closes, so it stays there
+            button.addEventListener('click', () => {
+                if (button.classList.contains('disabled')) return;
+                this.activate(link);
+                link.focus();
+            });
+
+            return button;
+        }));
+
+        this.more.hidden = !entries.length;
+    }
+
+    /**
+     * Scroll the tab list so a tab is fully visible
+     */
+    scrollToTab(link, smooth = true) {
+        if (!this.overflowBar || this.options.overflow !== 'scroll') return;
+
+        const list = this.tabList.getBoundingClientRect();
+        const rect = (link.closest('.tab-item') || link).getBoundingClientRect();
+
+        if (rect.left < list.left) {
+            this.scrollListBy(rect.left - list.left, smooth);
+        } else if (rect.right > list.right) {
+            this.scrollListBy(rect.right - list.right, smooth);
+        }
+    }
+
+    scrollListBy(distance, smooth) {
+        if (typeof this.tabList.scrollBy === 'function') {
+            this.tabList.scrollBy({ left: distance, behavior: smooth ? 'smooth' : 'auto' });
+        } else {
+            this.tabList.scrollLeft += distance;
+        }
+    }
+
+    /**
+     * Collapse into the responsive mode below the breakpoint, back above it
+     */
+    initResponsive() {
+        const media = window.matchMedia(`(max-width: ${this.options.breakpoint - 0.02}px)`);
+
+        this.cleanup.preserve(this.element, ['class']);
+        this.cleanup.preserve(this.tabList, ['hidden']);
+
+        const update = () => {
+            const mode = media.matches ? this.options.responsive : 'tabs';
+            if (mode !== this.mode) {
+                this.setMode(mode);
+            }
+        };
+
+        this.cleanup.on(media, 'change', update);
+        this.cleanup.add(() => this.removeModeElements());
+
+        update();
+    }
+
+    /**
+     * Render as 'tabs', 'accordion' or 'select', keeping the active pane
+     *
+     * As an accordion every pane gets a disclosure button and becomes a
+     * region; with a select the tab list is replaced by a native switcher.
+     */
+    setMode(mode) {
+        const previous = this.mode;
+        const activeClass = this.options.activeClass;
+
+        this.removeModeElements();
+        this.mode = mode;
+
+        this.element.classList.toggle('tabs-collapsed', mode !== 'tabs');
+        this.element.classList.toggle('tabs-accordion', mode === 'accordion');
+        this.element.classList.toggle('tabs-select', mode === 'select');
+
+        // The overflow bar carries the tab list and its controls
+        const bar = this.overflowBar || this.tabList;
+        if (bar) {
+            bar.hidden = mode !== 'tabs';
+        }
+
+        this.tabLinks.forEach(link => {
+            const pane = this.getTargetPane(link);
+            if (pane) {
+                pane.setAttribute('role', mode === 'tabs' ? 'tabpanel' : 'region');
+                pane.setAttribute('aria-labelledby', link.id);
+            }
+        });
+
+        // A section collapsed in the accordion shows again as the active tab
+        if (mode !== 'accordion' && this.sectionClosed) {
+            const link = Array.from(this.tabLinks).find(item => item.classList.contains(activeClass));
+            const pane = link ? this.getTargetPane(link) : null;
+            if (pane) {
+                pane.classList.add(activeClass);
+            }
+            this.sectionClosed = false;
+        }
+
+        if (mode === 'accordion') {
+            this.renderHeaders();
+        } else if (mode === 'select') {
+            this.renderSelect();
+        }
+
+        this.syncMode();
+        this.updateOverflow();
+
+        this.element.dispatchEvent(new CustomEvent('tabs:mode', {
+            detail: { mode, previous }
+        }));
+    }
+
+    renderHeaders() {
+        this.tabLinks.forEach(link => {
+            const pane = this.getTargetPane(link);
+            if (!pane) return;
+
+            const header = document.createElement('div');
+            header.className = 'accordion-header tab-accordion-header';
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'accordion-button';
+            button.id = `${link.id}-header`;
+            button.setAttribute('aria-controls', pane.id);
+            button.disabled = link.classList.contains('disabled') || link.hasAttribute('disabled');
+            button.append(...Array.from(link.childNodes, node => node.cloneNode(true)));
+            button.addEventListener('click', () => this.toggleSection(link));
+
+            header.appendChild(button);
+            pane.before(header);
+            pane.setAttribute('aria-labelledby', button.id);
+
+            this.headers.push({ header, button, link });
+        });
+    }
+
+    renderSelect() {
+        const links = Array.from(this.tabLinks);
+        const select = document.createElement('select');
+
+        select.className = 'form-select tab-select';
+        select.setAttribute('aria-label', (this.tabList && this.tabList.getAttribute('aria-label')) || Tabs.strings.select);
+
+        links.forEach((link, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = link.textContent.trim();
+            option.disabled = link.classList.contains('disabled') || link.hasAttribute('disabled');
+            select.appendChild(option);
+        });
+
+        select.addEventListener('change', () => this.activate(links[select.value]));
+
+        (this.overflowBar || this.tabList || this.tabContent || this.element.firstChild).before(select);
+        this.select = select;
+    }
+
+    removeModeElements() {
+        this.headers.forEach(({ header }) => header.remove());
+        this.headers = [];
+
+        if (this.select) {
+            this.select.remove();
+            this.select = null;
+        }
+    }
+
+    /**
+     * Accordion header pressed: open its section, or collapse the open one
+     */
+    toggleSection(link) {
+        const pane = this.getTargetPane(link);
+
+        if (link.classList.contains(this.options.activeClass) && !this.sectionClosed) {
+            // The tab stays selected, so switching back to tabs shows it again
+            pane.classList.remove(this.options.activeClass);
+            this.sectionClosed = true;
+            this.syncMode();
+        } else {
+            this.activate(link);
+        }
+    }
+
+    /**
+     * Reflect the active tab in the accordion headers or the select
+     */
+    syncMode() {
+        const links = Array.from(this.tabLinks);
+        const active = links.find(link => link.classList.contains(this.options.activeClass));
+
+        this.headers.forEach(({ button, link }) => {
+            const expanded = link === active && !this.sectionClosed;
+            button.classList.toggle('collapsed', !expanded);
+            button.setAttribute('aria-expanded', expanded);
+        });
+
+        if (this.select && active) {
+            this.select.value = String(links.indexOf(active));
+        }
+    }
+
+    initHistory() {
+        this.initialLink = Array.from(this.tabLinks).find(link => link.classList.contains(this.options.activeClass)) || null;
+
+        const link = this.getLinkFromURL();
+        if (link) {
+            this.activate(link, false);
+        }
+
+        // Without state in the URL the tab active on load comes back
+        const restore = () => {
+            const target = this.getLinkFromURL() || this.initialLink;
+            if (target && !target.classList.contains(this.options.activeClass)) {
+                this.activate(target, false);
+            }
+        };
+
+        this.cleanup.on(window, 'popstate', restore);
+        if (this.options.historyType !== 'query') {
+            this.cleanup.on(window, 'hashchange', restore);
+        }
+    }
+
+    /**
+     * Name of a tab in the query string: data-tab-name or the pane id
+     */
+    getTabName(link) {
+        const pane = this.getTargetPane(link);
+        return link.getAttribute('data-tab-name') || (pane ? pane.id : '');
+    }
+
+    getLinkFromURL() {
+        const links = Array.from(this.tabLinks);
+
+        if (this.options.historyType === 'query') {
+            const value = new URLSearchParams(window.location.search).get(this.options.queryKey);
+            return value ? links.find(link => this.getTabName(link) === value) || null : null;
+        }
+
+        const hash = window.location.hash;
+        return hash
+            ? links.find(link => link.getAttribute('href') === hash || link.getAttribute('data-target') === hash) || null
+            : null;
+    }
+
+    updateURL(link) {
+        const url = new URL(window.location.href);
+
+        if (this.options.historyType === 'query') {
+            const name = this.getTabName(link);
+            if (!name) return;
+            url.searchParams.set(this.options.queryKey, name);
+        } else {
+            const target = link.getAttribute('href') || link.getAttribute('data-target');
+            if (!target || target === '#') return;
+            url.hash = target;
+        }
+
+        if (url.href === window.location.href) return;
+
+        if (this.options.historyMethod === 'replace') {
+            history.replaceState(history.state, '', url.href);
+        } else {
+            history.pushState(history.state, '', url.href);
+        }
     }
 
     setupAccessibility() {
         if (this.tabList) {
+            this.cleanup.preserve(this.tabList, ['role', 'aria-orientation']);
             this.tabList.setAttribute('role', 'tablist');
+            this.tabList.setAttribute('aria-orientation', this.orientation);
         }
 
-        this.tabLinks.forEach((link, index) => {
+        this.tabLinks.forEach(link => {
             const target = this.getTargetPane(link);
-            const id = link.id || `tab-${index}`;
-            const panelId = target ? target.id || `tab-panel-${index}` : `tab-panel-${index}`;
+            const number = ++tabCount;
+            const id = link.id || `tab-${number}`;
+            const panelId = target ? target.id || `tab-panel-${number}` : `tab-panel-${number}`;
 
+            this.cleanup.preserve(link, ['role', 'id', 'aria-controls', 'aria-selected', 'tabindex']);
             link.setAttribute('role', 'tab');
             link.setAttribute('id', id);
             link.setAttribute('aria-controls', panelId);
@@ -81,6 +617,7 @@ class Tabs {
             link.setAttribute('tabindex', link.classList.contains(this.options.activeClass) ? '0' : '-1');
 
             if (target) {
+                this.cleanup.preserve(target, ['role', 'id', 'aria-labelledby', 'tabindex', 'style']);
                 target.setAttribute('role', 'tabpanel');
                 target.setAttribute('id', panelId);
                 target.setAttribute('aria-labelledby', id);
@@ -118,7 +655,7 @@ class Tabs {
         if (currentPane) {
             if (this.options.fadeEffect) {
                 currentPane.style.opacity = '0';
-                setTimeout(() => {
+                this.cleanup.timeout(() => {
                     currentPane.classList.remove(this.options.activeClass);
                     currentPane.style.opacity = '';
                 }, this.options.fadeDuration);
@@ -127,20 +664,24 @@ class Tabs {
             }
         }
 
+        // Fetch or render lazy content the first time
+        this.load(targetPane);
+        this.sectionClosed = false;
+
         // Activate new tab
         link.classList.add(this.options.activeClass);
         link.setAttribute('aria-selected', 'true');
         link.setAttribute('tabindex', '0');
 
         if (this.options.fadeEffect) {
-            setTimeout(() => {
+            this.cleanup.timeout(() => {
                 targetPane.classList.add(this.options.activeClass);
                 targetPane.style.opacity = '0';
                 targetPane.offsetHeight; // Force reflow
                 targetPane.style.transition = `opacity ${this.options.fadeDuration}ms ease`;
                 targetPane.style.opacity = '1';
 
-                setTimeout(() => {
+                this.cleanup.timeout(() => {
                     targetPane.style.opacity = '';
                     targetPane.style.transition = '';
                 }, this.options.fadeDuration);
@@ -149,14 +690,22 @@ class Tabs {
             targetPane.classList.add(this.options.activeClass);
         }
 
-        // Update URL hash
-        if (this.options.history && updateHistory) {
-            const targetId = link.getAttribute('href') || link.getAttribute('data-target');
-            if (targetId && targetId !== '#') {
-                history.pushState(null, null, targetId);
+        this.syncMode();
+
+        // Keep the active tab in view
+        if (this.overflowBar) {
+            if (this.options.overflow === 'menu') {
+                this.updateOverflow();
+            } else {
+                this.scrollToTab(link);
             }
         }
 
+        // Update URL
+        if (this.options.history && updateHistory) {
+            this.updateURL(link);
+        }
+
         // Dispatch event
         this.element.dispatchEvent(new CustomEvent('tabs:change', {
             detail: {
@@ -166,43 +715,157 @@ class Tabs {
         }));
     }
 
+    /**
+     * Tab link controlling a pane
+     */
+    getLink(pane) {
+        return Array.from(this.tabLinks).find(link => this.getTargetPane(link) === pane) || null;
+    }
+
+    /**
+     * Fill a lazy or remote pane, once
+     *
+     * Panes with data-tab-lazy are rendered from a <template>: the one inside
+     * the pane, or the one the attribute value selects. Panes (or their tab
+     * links) with data-tab-remote fetch the URL; JSON is rendered through the
+     * pane's data-tab-template or the remoteTemplate option.
+     *
+     * @param {Element} pane Tab pane
+     * @param {boolean} force Load again even if already loaded
+     * @returns {Promise<boolean>} Whether new content was loaded
+     */
+    async load(pane, force = false) {
+        if ((this.loaded.has(pane) && !force) || this.requests.has(pane)) return false;
+
+        const link = this.getLink(pane);
+
+        // Template content needs no loading state
+        if (pane.hasAttribute('data-tab-lazy')) {
+            const selector = pane.getAttribute('data-tab-lazy');
+            const template = selector ? document.querySelector(selector) : pane.querySelector(':scope > template');
+
+            if (!template) return false;
+
+            pane.replaceChildren(template.content.cloneNode(true));
+            this.loaded.add(pane);
+            this.dispatchLoad(pane, link, null, null);
+            return true;
+        }
+
+        const source = pane.getAttribute('data-tab-remote') || (link ? link.getAttribute('data-tab-remote') : '');
+        if (!source) return false;
+
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const request = controller || {};
+        this.requests.set(pane, request);
+
+        pane.setAttribute('aria-busy', 'true');
+        this.renderLoading(pane);
+
+        try {
+            const content = await fetchContent(source, {
+                cache: this.options.remoteCache,
+                signal: controller ? controller.signal : null
+            });
+
+            // Destroyed meanwhile
+            if (this.requests.get(pane) !== request) return false;
+
+            applyContent(pane, content, pane.getAttribute('data-tab-template') || this.options.remoteTemplate);
+            this.finishRequest(pane);
+            this.loaded.add(pane);
+            this.dispatchLoad(pane, link, source, content);
+
+            return true;
+        } catch (error) {
+            if (this.requests.get(pane) !== request) return false;
+
+            this.finishRequest(pane);
+            this.renderError(pane);
+
+            this.element.dispatchEvent(new CustomEvent('tabs:error', {
+                detail: { tab: link, pane, source, error }
+            }));
+
+            return false;
+        }
+    }
+
+    dispatchLoad(pane, link, source, content) {
+        this.element.dispatchEvent(new CustomEvent('tabs:load', {
+            detail: { tab: link, pane, source, content }
+        }));
+    }
+
+    finishRequest(pane) {
+        this.requests.delete(pane);
+        pane.removeAttribute('aria-busy');
+    }
+
+    renderLoading(pane) {
+        pane.innerHTML = `<div class="spinner-container"><div class="${this.options.spinnerClass}" role="status"><span class="sr-only"></span></div></div>`;
+        pane.querySelector('.sr-only').textContent = Tabs.strings.loading;
+    }
+
+    renderError(pane) {
+        pane.innerHTML = '<div class="alert alert-danger" role="alert"><div class="alert-content"><div class="alert-message"></div></div><button type="button" class="btn btn-sm btn-outline-danger" data-tab-retry></button></div>';
+        pane.querySelector('.alert-message').textContent = Tabs.strings.error;
+        pane.querySelector('[data-tab-retry]').textContent = Tabs.strings.retry;
+    }
+
     handleKeydown(e, currentLink) {
+        // Tabs moved into the More menu are reached through it instead
         const links = Array.from(this.tabLinks).filter(link =>
-            !link.classList.contains('disabled') && !link.hasAttribute('disabled')
+            !link.classList.contains('disabled') && !link.hasAttribute('disabled') && !link.closest('[hidden]')
         );
         const currentIndex = links.indexOf(currentLink);
-        let newIndex;
+        const vertical = this.orientation === 'vertical';
+        const rtl = !vertical && getComputedStyle(this.element).direction === 'rtl';
+
+        // Only the arrows along the orientation move, mirrored right-to-left
+        const prevKey = vertical ? 'ArrowUp' : (rtl ? 'ArrowRight' : 'ArrowLeft');
+        const nextKey = vertical ? 'ArrowDown' : (rtl ? 'ArrowLeft' : 'ArrowRight');
+        let target = null;
 
         switch (e.key) {
-            case 'ArrowLeft':
-            case 'ArrowUp':
-                e.preventDefault();
-                newIndex = currentIndex - 1;
-                if (newIndex < 0) newIndex = links.length - 1;
-                links[newIndex].focus();
-                this.activate(links[newIndex]);
+            case prevKey:
+                target = links[currentIndex - 1 < 0 ? links.length - 1 : currentIndex - 1];
                 break;
 
-            case 'ArrowRight':
-            case 'ArrowDown':
-                e.preventDefault();
-                newIndex = currentIndex + 1;
-                if (newIndex >= links.length) newIndex = 0;
-                links[newIndex].focus();
-                this.activate(links[newIndex]);
+            case nextKey:
+                target = links[(currentIndex + 1) % links.length];
                 break;
 
             case 'Home':
-                e.preventDefault();
-                links[0].focus();
-                this.activate(links[0]);
+                target = links[0];
                 break;
 
             case 'End':
-                e.preventDefault();
-                links[links.length - 1].focus();
-                this.activate(links[links.length - 1]);
+                target = links[links.length - 1];
                 break;
+
+            case 'Enter':
+            case ' ':
+                // Manual activation: the focused tab is activated on demand
+                if (this.options.activation === 'manual') {
+                    e.preventDefault();
+                    this.activate(currentLink);
+                }
+                return;
+
+            default:
+                return;
+        }
+
+        if (!target) return;
+
+        e.preventDefault();
+        target.focus();
+
+        if (this.options.activation === 'manual') {
+            this.scrollToTab(target);
+        } else {
+            this.activate(target);
         }
     }
 
@@ -232,30 +895,9 @@ class Tabs {
     }
 
     destroy() {
-        this.tabLinks.forEach(link => {
-            link.removeEventListener('click', this.activate);
-            link.removeEventListener('keydown', this.handleKeydown);
-        });
+        this.cleanup.run();
+        removeInstance(this.element, Tabs.NAME, this);
     }
 }
 
-// Auto-initialize
-function initTabs() {
-    document.querySelectorAll('.tabs').forEach(element => {
-        if (!element.tabsInstance) {
-            element.tabsInstance = new Tabs(element, {
-                fadeEffect: element.hasAttribute('data-fade'),
-                history: element.hasAttribute('data-history')
-            });
-        }
-    });
-}
-
-// Initialize on DOM ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initTabs);
-} else {
-    initTabs();
-}
-
 export default Tabs;
\ No newline at end of file
@@ -0,0 +1,447 @@
+/**
+ * Toast Component
+ * Transient notifications in positioned regions, with queueing, pause on
+ * hover/focus, a progress bar and screen reader announcements
+ */
+
+import Cleanup from '../core/cleanup.js';
+import { removeInstance, setInstance } from '../core/instances.js';
+import { setContent } from '../core/sanitize.js';
+import { Alert, AlertFactory } from './alert.js';
+
+const POSITIONS = ['top-right', 'top-left', 'top-center', 'bottom-right', 'bottom-left', 'bottom-center'];
+
+class Toast {
+    static NAME = 'Toast';
+
+    // Region label and close button text, override to localize
+    static strings = {
+        region: 'Notifications',
+        close: 'Close notification'
+    };
+
+    static defaults = {
+        type: 'info',
+        title: '',
+        message: '',
+        html: false,
+        sanitize: true,
+        sanitizeFn: null,
+        allowList: null,
+        icon: true,
+        dismissible: true,
+        duration: 5000,
+        position: 'top-right',
+        maxVisible: 3,
+        progress: true,
+        pauseOnHover: true,
+        pauseOnFocus: true,
+        dedupe: true,
+        key: null,
+        // Remember a dismissal by the user, see Alert.dismiss()
+        id: '',
+        version: '',
+        storage: 'local',
+        expires: 0,
+        actions: [],
+        customClass: '',
+        animation: 200
+    };
+
+    // Regions by position: { element, visible, queue }
+    static regions = new Map();
+
+    constructor(options = {}) {
+        this.options = { ...Toast.defaults, ...options };
+
+        if (!POSITIONS.includes(this.options.position)) {
+            this.options.position = Toast.defaults.position;
+        }
+
+        this.key = this.options.key || [this.options.type, this.options.title, this.options.message].join('|');
+        this.count = 1;
+        this.isVisible = false;
+        this.isQueued = false;
+        this.isPaused = false;
+        this.pauseReasons = new Set();
+        this.remaining = this.options.duration;
+        this.startedAt = 0;
+        this.timer = null;
+        this.cleanup = new Cleanup();
+
+        this.element = this.render();
+        setInstance(this.element, Toast.NAME, this);
+        this.init();
+    }
+
+    render() {
+        const { type, title, message, icon, dismissible, progress, duration, customClass } = this.options;
+        const element = document.createElement('div');
+
+        element.className = `alert alert-${type} toast`;
+        if (customClass) {
+            element.classList.add(...customClass.split(' ').filter(Boolean));
+        }
+
+        // Errors interrupt, everything else waits for a pause
+        element.setAttribute('role', type === 'danger' || type === 'error' ? 'alert' : 'status');
+        element.setAttribute('aria-atomic', 'true');
+
+        if (icon && AlertFactory.icons[type]) {
+            const iconElement = document.createElement('span');
+            iconElement.className = 'alert-icon';
+            iconElement.setAttribute('aria-hidden', 'true');
+            iconElement.innerHTML = AlertFactory.icons[type];
+            element.appendChild(iconElement);
+        }
+
+        const content = document.createElement('div');
+        content.className = 'alert-content';
+
+        if (title) {
+            const titleElement = document.createElement('div');
+            titleElement.className = 'alert-title';
+            setContent(titleElement, title, this.options);
+            content.appendChild(titleElement);
+        }
+
+        const messageElement = document.createElement('div');
+        messageElement.className = 'alert-message';
+        setContent(messageElement, message, this.options);
+        content.appendChild(messageElement);
+
+        // Repeat counter for deduplicated messages
+        this.counter = document.createElement('span');
+        this.counter.className = 'toast-count';
+        this.counter.hidden = true;
+        messageElement.appendChild(this.counter);
+
+        if (this.options.actions.length) {
+            const actions = document.createElement('div');
+            actions.className = 'alert-actions';
+
+            this.options.actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = action.className || 'btn btn-sm btn-outline-secondary';
+                button.textContent = action.text;
+
+                this.cleanup.on(button, 'click', (e) => {
+                    if (action.onClick) {
+                        action.onClick(this, e);
+                    }
+                    if (action.remember) {
+                        this.remember();
+                    }
+                    if (action.close !== false) {
+                        this.close();
+                    }
+                });
+
+                actions.appendChild(button);
+            });
+
+            content.appendChild(actions);
+        }
+
+        element.appendChild(content);
+
+        if (dismissible) {
+            element.classList.add('alert-dismissible');
+
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'alert-close';
+            close.setAttribute('aria-label', Toast.strings.close);
+            close.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';
+            this.cleanup.on(close, 'click', () => {
+                this.remember();
+                this.close();
+            });
+            element.appendChild(close);
+        }
+
+        if (progress && duration > 0) {
+            this.progressBar = document.createElement('div');
+            this.progressBar.className = 'toast-progress';
+            this.progressBar.setAttribute('aria-hidden', 'true');
+            element.appendChild(this.progressBar);
+        }
+
+        return element;
+    }
+
+    init() {
+        if (this.options.pauseOnHover) {
+            this.cleanup.on(this.element, 'mouseenter', () => this.pause('hover'));
+            this.cleanup.on(this.element, 'mouseleave', () => this.resume('hover'));
+        }
+
+        if (this.options.pauseOnFocus) {
+            this.cleanup.on(this.element, 'focusin', () => this.pause('focus'));
+            this.cleanup.on(this.element, 'focusout', (e) => {
+                if (!this.element.contains(e.relatedTarget)) {
+                    this.resume('focus');
+                }
+            });
+        }
+    }
+
+    /**
+     * Add the toast to its region, or queue it when the region is full
+     */
+    show() {
+        if (this.isVisible || this.isQueued) return this;
+
+        const region = Toast.getRegion(this.options.position);
+
+        if (region.visible.length >= Math.max(1, this.options.maxVisible)) {
+            this.isQueued = true;
+            region.queue.push(this);
+            return this;
+        }
+
+        this.isQueued = false;
+        this.isVisible = true;
+        region.visible.push(this);
+
+        // Newest toast closest to the screen edge
+        if (this.options.position.startsWith('top')) {
+            region.element.prepend(this.element);
+        } else {
+            region.element.append(this.element);
+        }
+
+        // Force reflow so the transition runs
+        this.element.offsetHeight;
+        this.element.classList.add('show');
+
+        this.start();
+
+        this.element.dispatchEvent(new CustomEvent('toast:show', {
+            bubbles: true,
+            detail: { toast: this }
+        }));
+
+        return this;
+    }
+
+    close() {
+        const region = Toast.regions.get(this.options.position);
+
+        if (this.isQueued) {
+            this.isQueued = false;
+            if (region) {
+                region.queue = region.queue.filter(item => item !== this);
+            }
+            this.destroy();
+            return;
+        }
+
+        if (!this.isVisible) return;
+
+        this.isVisible = false;
+        this.stop();
+        this.element.classList.remove('show');
+
+        this.element.dispatchEvent(new CustomEvent('toast:close', {
+            bubbles: true,
+            detail: { toast: this }
+        }));
+
+        this.cleanup.timeout(() => this.destroy(), this.options.animation);
+    }
+
+    /**
+     * Start or restart the auto-dismiss timer
+     */
+    start(duration = this.options.duration) {
+        this.stop();
+        if (!(duration > 0)) return;
+
+        this.remaining = duration;
+        this.restartProgress();
+
+        if (!this.pauseReasons.size) {
+            this.run();
+        } else {
+            this.setPaused(true);
+        }
+    }
+
+    run() {
+        this.startedAt = Date.now();
+        this.timer = this.cleanup.timeout(() => this.close(), this.remaining);
+        this.setPaused(false);
+    }
+
+    stop() {
+        this.cleanup.clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Pause the timer; every reason given must be resumed before it runs again
+     */
+    pause(reason = 'manual') {
+        this.pauseReasons.add(reason);
+        if (!this.timer) return;
+
+        this.stop();
+        this.remaining = Math.max(0, this.remaining - (Date.now() - this.startedAt));
+        this.setPaused(true);
+    }
+
+    resume(reason = 'manual') {
+        this.pauseReasons.delete(reason);
+        if (this.pauseReasons.size || this.timer || !this.isVisible || !(this.options.duration > 0)) return;
+
+        this.run();
+    }
+
+    setPaused(paused) {
+        this.isPaused = paused;
+        this.element.classList.toggle('toast-paused', paused);
+    }
+
+    restartProgress() {
+        if (!this.progressBar) return;
+
+        // Restart the CSS animation from a full bar
+        this.progressBar.style.animation = 'none';
+        this.progressBar.offsetHeight;
+        this.progressBar.style.animation = '';
+        this.progressBar.style.animationDuration = `${this.remaining}ms`;
+    }
+
+    /**
+     * Persist the dismissal of a toast with an id
+     */
+    remember() {
+        if (this.options.id) {
+            Alert.dismiss(this.options.id, this.options);
+        }
+    }
+
+    /**
+     * A duplicate was shown: count it and give it a fresh timer
+     */
+    repeat() {
+        this.count++;
+        this.counter.hidden = false;
+        this.counter.textContent = `×${this.count}`;
+
+        if (this.isVisible) {
+            this.start();
+        }
+
+        return this;
+    }
+
+    destroy() {
+        const region = Toast.regions.get(this.options.position);
+        const wasVisible = !!region && region.visible.includes(this);
+
+        this.cleanup.run();
+        this.timer = null;
+        this.isVisible = false;
+        this.isQueued = false;
+        this.element.remove();
+
+        removeInstance(this.element, Toast.NAME, this);
+
+        if (region) {
+            region.visible = region.visible.filter(item => item !== this);
+            region.queue = region.queue.filter(item => item !== this);
+
+            // A slot was freed: promote the next queued toast
+            const next = wasVisible ? region.queue.shift() : null;
+            if (next) {
+                next.isQueued = false;
+                next.show();
+            }
+        }
+    }
+
+    /**
+     * Region element for a position, created on first use
+     */
+    static getRegion(position) {
+        let region = Toast.regions.get(position);
+
+        if (!region || !region.element.isConnected) {
+            const element = document.createElement('div');
+            element.className = `toast-region toast-region-${position}`;
+            element.setAttribute('role', 'region');
+            element.setAttribute('aria-label', Toast.strings.region);
+            // Each toast's status or alert role announces it; off rather than
+            // absent so modals still leave the region out of inert
+            element.setAttribute('aria-live', 'off');
+            document.body.appendChild(element);
+
+            region = { element, visible: [], queue: [] };
+            Toast.regions.set(position, region);
+        }
+
+        return region;
+    }
+
+    /**
+     * Show a toast, or count a repeat of an identical one still on screen
+     *
+     * @param {string} message Message
+     * @param {Object} options See defaults
+     * @returns {Toast|null} Null when the user dismissed this toast id before
+     */
+    static show(message, options = {}) {
+        const config = { ...Toast.defaults, ...options, message };
+
+        if (config.id && Alert.isDismissed(config.id, config)) {
+            return null;
+        }
+
+        if (config.dedupe) {
+            const key = config.key || [config.type, config.title, config.message].join('|');
+            const region = Toast.regions.get(POSITIONS.includes(config.position) ? config.position : Toast.defaults.position);
+            // Toasts on their way out no longer count
+            const existing = region && [...region.visible, ...region.queue]
+                .find(toast => toast.key === key && (toast.isVisible || toast.isQueued));
+
+            if (existing) {
+                return existing.repeat();
+            }
+        }
+
+        return new Toast(config).show();
+    }
+
+    static success(message, options = {}) {
+        return Toast.show(message, { ...options, type: 'success' });
+    }
+
+    static error(message, options = {}) {
+        return Toast.show(message, { duration: 0, ...options, type: 'danger' });
+    }
+
+    static warning(message, options = {}) {
+        return Toast.show(message, { ...options, type: 'warning' });
+    }
+
+    static info(message, options = {}) {
+        return Toast.show(message, { ...options, type: 'info' });
+    }
+
+    /**
+     * Close every toast, or those of one position, including queued ones
+     */
+    static clear(position = null) {
+        Toast.regions.forEach((region, key) => {
+            if (position && key !== position) return;
+
+            region.queue.splice(0).forEach(toast => toast.destroy());
+            [...region.visible].forEach(toast => toast.close());
+        });
+    }
+}
+
+export default Toast;
@@ -3,34 +3,72 @@
  * Handles tooltips and popovers with positioning
  */
 
+import Cleanup from '../core/cleanup.js';
+import { createFocusTrap, getFocusable } from '../core/focus.js';
+import { getInstance, removeInstance, setInstance } from '../core/instances.js';
+import { parseOptions } from '../core/options.js';
+import { autoUpdate, computePosition, parsePlacement } from '../core/position.js';
+import { setContent } from '../core/sanitize.js';
+
 class Tooltip {
+    static NAME = 'Tooltip';
+
+    static CLASS_PREFIX = 'tooltip';
+
+    static defaults = {
+        placement: 'top',
+        trigger: 'hover',
+        content: '',
+        html: false,
+        sanitize: true,
+        sanitizeFn: null,
+        allowList: null,
+        delay: { show: 0, hide: 0 },
+        offset: 8,
+        fallbackPlacements: null,
+        boundaryPadding: 8,
+        container: null,
+        customClass: '',
+        template: '<div class="tooltip" role="tooltip"><div class="tooltip-arrow"></div><div class="tooltip-inner"></div></div>'
+    };
+
     constructor(element, options = {}) {
+        // One instance per element
+        const existing = getInstance(element, new.target.NAME);
+        if (existing) return existing;
+
+        const defaults = this.constructor.defaults;
+
         this.element = element;
         this.options = {
-            placement: 'top',
-            trigger: 'hover',
-            content: '',
-            html: false,
-            delay: { show: 0, hide: 0 },
-            offset: 8,
-            container: document.body,
-            customClass: '',
-            template: '<div class="tooltip" role="tooltip"><div class="tooltip-arrow"></div><div class="tooltip-inner"></div></div>',
-            ...options
+            ...defaults,
+            ...options,
+            ...parseOptions(element, defaults)
         };
 
+        // Allow a single delay value for both show and hide
+        if (typeof this.options.delay === 'number') {
+            this.options.delay = { show: this.options.delay, hide: this.options.delay };
+        }
+
         this.tooltip = null;
         this.isVisible = false;
         this.showTimeout = null;
         this.hideTimeout = null;
+        this.stopAutoUpdate = null;
+        this.cleanup = new Cleanup();
 
+        setInstance(this.element, this.constructor.NAME, this);
         this.init();
     }
 
     init() {
+        this.cleanup.preserve(this.element, ['title', 'aria-describedby']);
+
         // Get content from attribute if not provided
         if (!this.options.content) {
-            this.options.content = this.element.getAttribute('data-tooltip') ||
+            this.options.content = this.getTemplate('data-tooltip-template') ||
+                this.element.getAttribute('data-tooltip') ||
                 this.element.getAttribute('title') || '';
             // Remove title to prevent native tooltip
             this.element.removeAttribute('title');
@@ -47,17 +85,17 @@ class Tooltip {
         triggers.forEach(trigger => {
             switch (trigger) {
                 case 'hover':
-                    this.element.addEventListener('mouseenter', () => this.show());
-                    this.element.addEventListener('mouseleave', () => this.hide());
+                    this.cleanup.on(this.element, 'mouseenter', () => this.show());
+                    this.cleanup.on(this.element, 'mouseleave', () => this.hide());
                     break;
 
                 case 'focus':
-                    this.element.addEventListener('focus', () => this.show());
-                    this.element.addEventListener('blur', () => this.hide());
+                    this.cleanup.on(this.element, 'focus', () => this.show());
+                    this.cleanup.on(this.element, 'blur', () => this.hide());
                     break;
 
                 case 'click':
-                    this.element.addEventListener('click', (e) => {
+                    this.cleanup.on(this.element, 'click', (e) => {
                         e.preventDefault();
                         this.toggle();
                     });
@@ -84,16 +122,12 @@ class Tooltip {
         }
 
         // Add placement class
-        this.tooltip.classList.add(`tooltip-${this.options.placement}`);
+        this.setPlacementClass(parsePlacement(this.options.placement).side);
 
         // Set content
         const inner = this.tooltip.querySelector('.tooltip-inner');
         if (inner) {
-            if (this.options.html) {
-                inner.innerHTML = this.options.content;
-            } else {
-                inner.textContent = this.options.content;
-            }
+            this.fill(inner, this.options.content);
         }
 
         // Generate unique ID
@@ -102,7 +136,10 @@ class Tooltip {
         this.element.setAttribute('aria-describedby', id);
 
         // Add to container
-        this.options.container.appendChild(this.tooltip);
+        const container = typeof this.options.container === 'string'
+            ? document.querySelector(this.options.container)
+            : this.options.container;
+        (container || document.body).appendChild(this.tooltip);
     }
 
     show() {
@@ -110,12 +147,12 @@ class Tooltip {
 
         // Clear any pending hide
         if (this.hideTimeout) {
-            clearTimeout(this.hideTimeout);
+            this.cleanup.clearTimeout(this.hideTimeout);
             this.hideTimeout = null;
         }
 
         // Apply show delay
-        this.showTimeout = setTimeout(() => {
+        this.showTimeout = this.cleanup.timeout(() => {
             this.doShow();
         }, this.options.delay.show || 0);
     }
@@ -146,6 +183,10 @@ class Tooltip {
         this.tooltip.style.visibility = '';
         this.tooltip.classList.add('show');
 
+        // Follow the element while it scrolls or resizes
+        this.stopPositioning();
+        this.stopAutoUpdate = autoUpdate(this.element, this.tooltip, () => this.position());
+
         // Dispatch show event
         this.element.dispatchEvent(new CustomEvent('tooltip:show', {
             detail: { tooltip: this }
@@ -153,16 +194,16 @@ class Tooltip {
     }
 
     hide() {
-        if (!this.isVisible) return;
-
-        // Clear any pending show
+        // Clear any pending show, which may still be waiting on its delay
         if (this.showTimeout) {
-            clearTimeout(this.showTimeout);
+            this.cleanup.clearTimeout(this.showTimeout);
             this.showTimeout = null;
         }
 
+        if (!this.isVisible) return;
+
         // Apply hide delay
-        this.hideTimeout = setTimeout(() => {
+        this.hideTimeout = this.cleanup.timeout(() => {
             this.doHide();
         }, this.options.delay.hide || 0);
     }
@@ -183,9 +224,10 @@ class Tooltip {
 
         this.isVisible = false;
         this.tooltip.classList.remove('show');
+        this.stopPositioning();
 
         // Remove after transition
-        setTimeout(() => {
+        this.cleanup.timeout(() => {
             if (this.tooltip && !this.isVisible) {
                 this.tooltip.remove();
                 this.tooltip = null;
@@ -210,70 +252,33 @@ class Tooltip {
     position() {
         if (!this.tooltip) return;
 
-        const elementRect = this.element.getBoundingClientRect();
-        const tooltipRect = this.tooltip.getBoundingClientRect();
-        const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-        const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
-
-        let top, left;
-        const offset = this.options.offset;
-
-        // Calculate position based on placement
-        switch (this.options.placement) {
-            case 'top':
-                top = elementRect.top + scrollTop - tooltipRect.height - offset;
-                left = elementRect.left + scrollLeft + (elementRect.width - tooltipRect.width) / 2;
-                break;
-
-            case 'bottom':
-                top = elementRect.bottom + scrollTop + offset;
-                left = elementRect.left + scrollLeft + (elementRect.width - tooltipRect.width) / 2;
-                break;
-
-            case 'left':
-                top = elementRect.top + scrollTop + (elementRect.height - tooltipRect.height) / 2;
-                left = elementRect.left + scrollLeft - tooltipRect.width - offset;
-                break;
-
-            case 'right':
-                top = elementRect.top + scrollTop + (elementRect.height - tooltipRect.height) / 2;
-                left = elementRect.right + scrollLeft + offset;
-                break;
-        }
+        const arrow = this.tooltip.querySelector(`.${this.constructor.CLASS_PREFIX}-arrow`);
 
-        // Viewport boundary checks
-        const viewportWidth = window.innerWidth;
-        const viewportHeight = window.innerHeight;
-
-        // Flip if necessary
-        if (this.options.placement === 'top' && elementRect.top - tooltipRect.height - offset < 0) {
-            top = elementRect.bottom + scrollTop + offset;
-            this.tooltip.classList.remove('tooltip-top');
-            this.tooltip.classList.add('tooltip-bottom');
-        } else if (this.options.placement === 'bottom' && elementRect.bottom + tooltipRect.height + offset > viewportHeight) {
-            top = elementRect.top + scrollTop - tooltipRect.height - offset;
-            this.tooltip.classList.remove('tooltip-bottom');
-            this.tooltip.classList.add('tooltip-top');
-        } else if (this.options.placement === 'left' && elementRect.left - tooltipRect.width - offset < 0) {
-            left = elementRect.right + scrollLeft + offset;
-            this.tooltip.classList.remove('tooltip-left');
-            this.tooltip.classList.add('tooltip-right');
-        } else if (this.options.placement === 'right' && elementRect.right + tooltipRect.width + offset > viewportWidth) {
-            left = elementRect.left + scrollLeft - tooltipRect.width - offset;
-            this.tooltip.classList.remove('tooltip-right');
-            this.tooltip.classList.add('tooltip-left');
-        }
+        const result = computePosition(this.element, this.tooltip, {
+            placement: this.options.placement,
+            offset: this.options.offset,
+            fallbackPlacements: this.options.fallbackPlacements,
+            padding: this.options.boundaryPadding,
+            arrow
+        });
 
-        // Keep within horizontal bounds
-        if (left < scrollLeft) {
-            left = scrollLeft + offset;
-        } else if (left + tooltipRect.width > scrollLeft + viewportWidth) {
-            left = scrollLeft + viewportWidth - tooltipRect.width - offset;
-        }
+        this.setPlacementClass(result.side);
+        this.tooltip.setAttribute('data-placement', result.placement);
+    }
+
+    setPlacementClass(side) {
+        const prefix = this.constructor.CLASS_PREFIX;
 
-        // Apply position
-        this.tooltip.style.top = `${top}px`;
-        this.tooltip.style.left = `${left}px`;
+        ['top', 'bottom', 'left', 'right'].forEach(item => {
+            this.tooltip.classList.toggle(`${prefix}-${item}`, item === side);
+        });
+    }
+
+    stopPositioning() {
+        if (this.stopAutoUpdate) {
+            this.stopAutoUpdate();
+            this.stopAutoUpdate = null;
+        }
     }
 
     updateContent(content) {
@@ -282,11 +287,7 @@ class Tooltip {
         if (this.tooltip) {
             const inner = this.tooltip.querySelector('.tooltip-inner');
             if (inner) {
-                if (this.options.html) {
-                    inner.innerHTML = content;
-                } else {
-                    inner.textContent = content;
-                }
+                this.fill(inner, content);
             }
 
             if (this.isVisible) {
@@ -295,16 +296,36 @@ class Tooltip {
         }
     }
 
+    /**
+     * Fill part of the tooltip with text, sanitized HTML, a node or a template
+     */
+    fill(target, content) {
+        setContent(target, content, this.options);
+    }
+
+    /**
+     * <template> referenced by a selector attribute, e.g. data-tooltip-template="#help"
+     */
+    getTemplate(attribute) {
+        const selector = this.element.getAttribute(attribute);
+        const template = selector ? document.querySelector(selector) : null;
+
+        return template instanceof HTMLTemplateElement ? template : null;
+    }
+
     destroy() {
-        if (this.showTimeout) clearTimeout(this.showTimeout);
-        if (this.hideTimeout) clearTimeout(this.hideTimeout);
+        this.stopPositioning();
+        this.cleanup.run();
+        this.showTimeout = null;
+        this.hideTimeout = null;
+        this.isVisible = false;
 
         if (this.tooltip) {
             this.tooltip.remove();
             this.tooltip = null;
         }
 
-        this.element.removeAttribute('aria-describedby');
+        removeInstance(this.element, this.constructor.NAME, this);
     }
 }
 
@@ -313,14 +334,16 @@ class Tooltip {
  * Extended tooltip with title and more content
  */
 class Popover extends Tooltip {
-    constructor(element, options = {}) {
-        super(element, {
-            trigger: 'click',
-            template: '<div class="popover" role="tooltip"><div class="popover-arrow"></div><div class="popover-header"></div><div class="popover-body"></div></div>',
-            title: '',
-            ...options
-        });
-    }
+    static NAME = 'Popover';
+
+    static CLASS_PREFIX = 'popover';
+
+    static defaults = {
+        ...Tooltip.defaults,
+        trigger: 'click',
+        template: '<div class="popover" role="tooltip"><div class="popover-arrow"></div><div class="popover-header"></div><div class="popover-body"></div></div>',
+        title: ''
+    };
 
     init() {
         // Get title from attribute if not provided
@@ -330,25 +353,58 @@ class Popover extends Tooltip {
 
         // Get content from attribute if not provided
         if (!this.options.content) {
-            this.options.content = this.element.getAttribute('data-popover-content') ||
+            this.options.content = this.getTemplate('data-popover-template') ||
+                this.element.getAttribute('data-popover-content') ||
                 this.element.getAttribute('data-content') || '';
         }
 
         super.init();
 
         // Close on click outside
-        document.addEventListener('click', (e) => {
+        this.cleanup.on(document, 'click', (e) => {
             if (this.isVisible && !this.element.contains(e.target) && !this.tooltip?.contains(e.target)) {
                 this.hide();
             }
         });
 
-        // Close on escape
-        document.addEventListener('keydown', (e) => {
+        // Close on escape, before an enclosing modal sees it
+        this.cleanup.on(document, 'keydown', (e) => {
             if (this.isVisible && e.key === 'Escape') {
+                e.preventDefault();
                 this.hide();
             }
         });
+
+        this.focusTrap = null;
+        this.cleanup.add(() => this.releaseFocus(false));
+    }
+
+    doShow() {
+        super.doShow();
+
+        // Interactive content opened on click: move focus in and keep Tab inside
+        const clickable = this.options.trigger.split(' ').some(trigger => trigger === 'click' || trigger === 'manual');
+
+        if (this.isVisible && clickable && !this.focusTrap && getFocusable(this.tooltip).length) {
+            this.tooltip.setAttribute('role', 'dialog');
+            this.focusTrap = createFocusTrap(this.tooltip, { returnFocus: this.element });
+            this.focusTrap.activate();
+        }
+    }
+
+    doHide() {
+        super.doHide();
+
+        if (!this.isVisible) {
+            this.releaseFocus();
+        }
+    }
+
+    releaseFocus(returnFocus = true) {
+        if (!this.focusTrap) return;
+
+        this.focusTrap.deactivate(returnFocus ? {} : { returnFocus: false });
+        this.focusTrap = null;
     }
 
     createTooltip() {
@@ -358,11 +414,7 @@ class Popover extends Tooltip {
         const header = this.tooltip.querySelector('.popover-header');
         if (header) {
             if (this.options.title) {
-                if (this.options.html) {
-                    header.innerHTML = this.options.title;
-                } else {
-                    header.textContent = this.options.title;
-                }
+                this.fill(header, this.options.title);
             } else {
                 header.style.display = 'none';
             }
@@ -371,16 +423,8 @@ class Popover extends Tooltip {
         // Set content (use popover-body instead of tooltip-inner)
         const body = this.tooltip.querySelector('.popover-body');
         if (body) {
-            if (this.options.html) {
-                body.innerHTML = this.options.content;
-            } else {
-                body.textContent = this.options.content;
-            }
+            this.fill(body, this.options.content);
         }
-
-        // Update placement class
-        this.tooltip.classList.remove(`tooltip-${this.options.placement}`);
-        this.tooltip.classList.add(`popover-${this.options.placement}`);
     }
 
     updateContent(content, title = null) {
@@ -394,20 +438,12 @@ class Popover extends Tooltip {
             const body = this.tooltip.querySelector('.popover-body');
 
             if (header && title !== null) {
-                if (this.options.html) {
-                    header.innerHTML = this.options.title;
-                } else {
-                    header.textContent = this.options.title;
-                }
+                this.fill(header, this.options.title);
                 header.style.display = this.options.title ? '' : 'none';
             }
 
             if (body) {
-                if (this.options.html) {
-                    body.innerHTML = content;
-                } else {
-                    body.textContent = content;
-                }
+                this.fill(body, content);
             }
 
             if (this.isVisible) {
@@ -417,29 +453,5 @@ class Popover extends Tooltip {
     }
 }
 
-// Auto-initialize
-function initTooltips() {
-    // Initialize tooltips
-    document.querySelectorAll('[data-tooltip]').forEach(element => {
-        if (!element.tooltipInstance) {
-            element.tooltipInstance = new Tooltip(element);
-        }
-    });
-
-    // Initialize popovers
-    document.querySelectorAll('[data-popover], [data-toggle="popover"]').forEach(element => {
-        if (!element.popoverInstance) {
-            element.popoverInstance = new Popover(element);
-        }
-    });
-}
-
-// Initialize on DOM ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initTooltips);
-} else {
-    initTooltips();
-}
-
 export { Popover, Tooltip };
 
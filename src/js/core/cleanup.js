@@ -0,0 +1,122 @@
+/**
+ * Cleanup Tracker
+ * Records listeners, timers, observers and attribute changes so a component
+ * can release everything it set up in destroy()
+ */
+
+class Cleanup {
+    constructor() {
+        this.listeners = [];
+        this.timeouts = new Set();
+        this.frames = new Set();
+        this.callbacks = [];
+        this.attributes = new Map();
+    }
+
+    /**
+     * Add an event listener that is removed on run()
+     *
+     * @returns {Function} Call to remove this listener early
+     */
+    on(target, type, handler, options = false) {
+        if (!target) return () => {};
+
+        target.addEventListener(type, handler, options);
+
+        const listener = { target, type, handler, options };
+        this.listeners.push(listener);
+
+        return () => {
+            target.removeEventListener(type, handler, options);
+            this.listeners = this.listeners.filter(item => item !== listener);
+        };
+    }
+
+    timeout(callback, delay = 0) {
+        const id = setTimeout(() => {
+            this.timeouts.delete(id);
+            callback();
+        }, delay);
+
+        this.timeouts.add(id);
+        return id;
+    }
+
+    clearTimeout(id) {
+        if (id === null || id === undefined) return;
+
+        clearTimeout(id);
+        this.timeouts.delete(id);
+    }
+
+    frame(callback) {
+        const id = requestAnimationFrame((time) => {
+            this.frames.delete(id);
+            callback(time);
+        });
+
+        this.frames.add(id);
+        return id;
+    }
+
+    /**
+     * Run a callback on cleanup (observers, created elements...)
+     */
+    add(callback) {
+        this.callbacks.push(callback);
+        return callback;
+    }
+
+    /**
+     * Remember attribute values so they can be restored on cleanup
+     *
+     * @param {Element} element Element about to be modified
+     * @param {Array} names Attribute names, 'style' included
+     */
+    preserve(element, names) {
+        if (!element) return;
+
+        let saved = this.attributes.get(element);
+        if (!saved) {
+            saved = new Map();
+            this.attributes.set(element, saved);
+        }
+
+        names.forEach(name => {
+            if (!saved.has(name)) {
+                saved.set(name, element.getAttribute(name));
+            }
+        });
+    }
+
+    /**
+     * Release everything that was recorded
+     */
+    run() {
+        this.listeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.listeners = [];
+
+        this.timeouts.forEach(id => clearTimeout(id));
+        this.timeouts.clear();
+
+        this.frames.forEach(id => cancelAnimationFrame(id));
+        this.frames.clear();
+
+        this.callbacks.splice(0).reverse().forEach(callback => callback());
+
+        this.attributes.forEach((saved, element) => {
+            saved.forEach((value, name) => {
+                if (value === null) {
+                    element.removeAttribute(name);
+                } else {
+                    element.setAttribute(name, value);
+                }
+            });
+        });
+        this.attributes.clear();
+    }
+}
+
+export default Cleanup;
@@ -0,0 +1,360 @@
+/**
+ * Focus Helpers
+ * Focus management shared by dialogs, drawers, popovers and menus: finding
+ * focusable elements, trapping Tab, initial and return focus, and making the
+ * background inert while a modal trap is active
+ */
+
+const CANDIDATE_SELECTOR = [
+    'a[href]',
+    'area[href]',
+    'button',
+    'input:not([type="hidden"])',
+    'select',
+    'textarea',
+    'iframe',
+    'object',
+    'embed',
+    'audio[controls]',
+    'video[controls]',
+    'summary',
+    '[contenteditable]:not([contenteditable="false"])',
+    '[tabindex]'
+].join(',');
+
+// Never made inert: they carry no focusable content or must stay live
+const INERT_SKIP = ['SCRIPT', 'STYLE', 'TEMPLATE', 'LINK', 'META', 'NOSCRIPT'];
+
+const traps = [];
+let inertElements = [];
+
+/**
+ * Whether an element is rendered and not hidden
+ */
+function isVisible(element) {
+    if (!element.isConnected) return false;
+
+    // No boxes usually means display: none on the element or an ancestor;
+    // confirm with computed styles since <area> and some layouts have none
+    if (!element.getClientRects().length) {
+        let node = element;
+        while (node && node.nodeType === 1) {
+            if (getComputedStyle(node).display === 'none') return false;
+            node = node.parentElement;
+        }
+    }
+
+    return getComputedStyle(element).visibility !== 'hidden';
+}
+
+/**
+ * Whether an element is disabled, directly or through a disabled fieldset
+ */
+function isDisabled(element) {
+    if (element.disabled) return true;
+
+    const fieldset = element.closest('fieldset[disabled]');
+    if (!fieldset) return false;
+
+    // Content of the fieldset's first legend stays enabled
+    const legend = fieldset.querySelector(':scope > legend');
+    return !(legend && legend.contains(element));
+}
+
+/**
+ * Whether an element is hidden inside a closed <details>
+ */
+function isInClosedDetails(element) {
+    let details = element.parentElement ? element.parentElement.closest('details') : null;
+
+    while (details) {
+        if (!details.open) {
+            const summary = details.querySelector(':scope > summary');
+
+            // Only the details' own summary remains reachable
+            if (!summary || !(summary === element || summary.contains(element))) {
+                return true;
+            }
+        }
+
+        details = details.parentElement ? details.parentElement.closest('details') : null;
+    }
+
+    return false;
+}
+
+/**
+ * Whether an element can currently receive focus
+ *
+ * @param {Element} element Element to check
+ * @param {boolean} tabbable Also require it to be in the Tab order
+ */
+function isFocusable(element, tabbable = true) {
+    if (!element || !element.matches || !element.matches(CANDIDATE_SELECTOR)) return false;
+
+    if (tabbable && element.hasAttribute('tabindex') && parseInt(element.getAttribute('tabindex'), 10) < 0) {
+        return false;
+    }
+
+    // Only the first summary of a details element is interactive
+    if (element.tagName === 'SUMMARY') {
+        const details = element.parentElement;
+        if (!details || details.tagName !== 'DETAILS' || details.querySelector(':scope > summary') !== element) {
+            return false;
+        }
+    }
+
+    if (isDisabled(element) || element.closest('[inert]') || isInClosedDetails(element)) {
+        return false;
+    }
+
+    return isVisible(element);
+}
+
+/**
+ * Focusable elements inside a container, in Tab order
+ *
+ * @param {Element} container Element to search
+ * @param {boolean} tabbable Leave out elements with a negative tabindex
+ * @returns {Array}
+ */
+function getFocusable(container, tabbable = true) {
+    const elements = Array.from(container.querySelectorAll(CANDIDATE_SELECTOR))
+        .filter(element => isFocusable(element, tabbable));
+
+    if (!tabbable) return elements;
+
+    // Positive tabindex values come first, in ascending order
+    const positive = elements
+        .filter(element => element.tabIndex > 0)
+        .sort((a, b) => a.tabIndex - b.tabIndex);
+
+    return [...positive, ...elements.filter(element => element.tabIndex <= 0)];
+}
+
+function resolve(target, container) {
+    if (typeof target === 'function') {
+        return target(container);
+    }
+
+    if (typeof target === 'string') {
+        return container.querySelector(target) || document.querySelector(target);
+    }
+
+    return target || null;
+}
+
+/**
+ * Focus the preferred element of a container
+ *
+ * Order: the given target, [data-initial-focus], [autofocus], the first
+ * focusable element, then the container itself.
+ *
+ * @returns {Array} Focusable elements found in the container
+ */
+function focusFirst(container, target = null) {
+    const focusable = getFocusable(container);
+    const preferred = [
+        resolve(target, container),
+        container.querySelector('[data-initial-focus]'),
+        container.querySelector('[autofocus]')
+    ].find(element => element && isFocusable(element, false));
+
+    if (preferred) {
+        preferred.focus();
+    } else if (focusable.length > 0) {
+        focusable[0].focus();
+    } else {
+        if (!container.hasAttribute('tabindex')) {
+            container.setAttribute('tabindex', '-1');
+        }
+        container.focus();
+    }
+
+    return focusable;
+}
+
+/**
+ * Keep Tab and Shift+Tab cycling inside a container
+ *
+ * The focusable list is recomputed on every Tab so content added, removed,
+ * shown or hidden after opening is taken into account.
+ */
+function trapTab(e, container) {
+    if (e.key !== 'Tab') return;
+
+    const focusable = getFocusable(container);
+
+    if (!focusable.length) {
+        e.preventDefault();
+        container.focus();
+        return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+
+    if (e.shiftKey) {
+        if (active === first || active === container || !container.contains(active)) {
+            e.preventDefault();
+            last.focus();
+        }
+    } else if (active === last || !container.contains(active)) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Make everything but the topmost inert trap (and its exclusions) inert
+ */
+function updateInert() {
+    inertElements.forEach(element => element.removeAttribute('inert'));
+    inertElements = [];
+
+    const trap = [...traps].reverse().find(item => item.options.inert);
+    if (!trap) return;
+
+    const keep = [trap.container, ...getExcluded(trap)];
+    let node = trap.container;
+
+    while (node && node.parentElement && node !== document.body) {
+        Array.from(node.parentElement.children).forEach(sibling => {
+            if (sibling === node || INERT_SKIP.includes(sibling.tagName) || sibling.hasAttribute('inert')) return;
+            if (keep.some(element => element && sibling.contains(element))) return;
+
+            // Live regions must keep announcing
+            if (sibling.hasAttribute('aria-live')) return;
+
+            sibling.setAttribute('inert', '');
+            inertElements.push(sibling);
+        });
+
+        node = node.parentElement;
+    }
+}
+
+function getExcluded(trap) {
+    const { exclude } = trap.options;
+    return (typeof exclude === 'function' ? exclude() : exclude) || [];
+}
+
+function handleKeydown(e) {
+    const trap = [...traps].reverse().find(item => item.options.cycle);
+    if (trap) {
+        trapTab(e, trap.container);
+    }
+}
+
+function handleFocusin(e) {
+    const target = e.target;
+
+    // Walk down from the top until a trap holds the target; non-modal traps
+    // let focus leave, their component closes instead
+    for (let i = traps.length - 1; i >= 0; i--) {
+        const trap = traps[i];
+        if (trap.container.contains(target) || getExcluded(trap).some(element => element && element.contains(target))) return;
+
+        if (trap.options.inert) {
+            // Focus escaped the modal trap, e.g. in a browser without inert support
+            focusFirst(trap.container);
+            return;
+        }
+    }
+}
+
+/**
+ * Create a focus trap for a container
+ *
+ * Traps nest: the most recently activated one is enforced, and focus may
+ * still move into the traps below it, down to the nearest inert one.
+ *
+ * @param {Element} container Element focus is kept in
+ * @param {Object} options {
+ *     initialFocus: element, selector or function; false to leave focus alone
+ *     returnFocus: true for the previously focused element, an element,
+ *         a selector, or false
+ *     inert: make the rest of the page inert
+ *     cycle: keep Tab inside the container
+ *     exclude: elements outside the container that stay interactive, or a
+ *         function returning them
+ * }
+ * @returns {Object} { activate(), deactivate(options), isActive() }
+ */
+function createFocusTrap(container, options = {}) {
+    const trap = {
+        container,
+        options: {
+            initialFocus: null,
+            returnFocus: true,
+            inert: false,
+            cycle: true,
+            exclude: [],
+            ...options
+        },
+        previous: null
+    };
+
+    trap.activate = () => {
+        // Already active: refresh the inert background only
+        if (traps.includes(trap)) {
+            updateInert();
+            return trap;
+        }
+
+        trap.previous = document.activeElement;
+        traps.push(trap);
+
+        if (traps.length === 1) {
+            document.addEventListener('keydown', handleKeydown);
+            document.addEventListener('focusin', handleFocusin);
+        }
+
+        updateInert();
+
+        if (trap.options.initialFocus !== false) {
+            focusFirst(container, trap.options.initialFocus);
+        }
+
+        return trap;
+    };
+
+    /**
+     * @param {Object} settings { returnFocus } overrides the option
+     */
+    trap.deactivate = (settings = {}) => {
+        const index = traps.indexOf(trap);
+        if (index === -1) return trap;
+
+        traps.splice(index, 1);
+
+        if (!traps.length) {
+            document.removeEventListener('keydown', handleKeydown);
+            document.removeEventListener('focusin', handleFocusin);
+        }
+
+        updateInert();
+
+        const returnFocus = 'returnFocus' in settings ? settings.returnFocus : trap.options.returnFocus;
+        const active = document.activeElement;
+
+        // Do not pull focus back from somewhere the user moved it on purpose
+        const lost = !active || active === document.body || container.contains(active);
+
+        if (returnFocus && lost) {
+            const target = returnFocus === true ? trap.previous : resolve(returnFocus, document);
+            if (target && typeof target.focus === 'function' && target.isConnected) {
+                target.focus();
+            }
+        }
+
+        return trap;
+    };
+
+    trap.isActive = () => traps.includes(trap);
+
+    return trap;
+}
+
+export { createFocusTrap, focusFirst, getFocusable, isFocusable, isVisible, trapTab };
@@ -0,0 +1,113 @@
+/**
+ * Instance Store
+ * Keeps exactly one instance per element and component name
+ */
+
+const store = new WeakMap();
+
+// One weak reference per element with instances, for enumeration
+const refs = new Set();
+const elementRefs = new WeakMap();
+
+function createRef(element) {
+    return typeof WeakRef === 'function' ? new WeakRef(element) : { deref: () => element };
+}
+
+function setInstance(element, name, instance) {
+    let instances = store.get(element);
+
+    if (!instances) {
+        instances = new Map();
+        store.set(element, instances);
+
+        const ref = createRef(element);
+        elementRefs.set(element, ref);
+        refs.add(ref);
+    }
+
+    instances.set(name, instance);
+    return instance;
+}
+
+/**
+ * Get the instance of a component bound to an element
+ *
+ * @param {Element} element Bound element
+ * @param {string|null} name Component name, or null for the first instance found
+ * @returns {Object|null}
+ */
+function getInstance(element, name = null) {
+    const instances = element ? store.get(element) : null;
+    if (!instances) return null;
+
+    if (name === null) {
+        return instances.values().next().value || null;
+    }
+
+    return instances.get(name) || null;
+}
+
+function removeInstance(element, name, instance = null) {
+    const instances = element ? store.get(element) : null;
+    if (!instances) return;
+
+    // Only remove when it is still the stored instance
+    if (instance && instances.get(name) !== instance) return;
+
+    instances.delete(name);
+
+    if (!instances.size) {
+        store.delete(element);
+        refs.delete(elementRefs.get(element));
+        elementRefs.delete(element);
+    }
+}
+
+/**
+ * Get the existing instance or create one with the factory
+ *
+ * @param {Element} element Bound element
+ * @param {string} name Component name
+ * @param {Function} factory Returns a new instance
+ * @returns {Object|null}
+ */
+function getOrCreate(element, name, factory) {
+    const existing = getInstance(element, name);
+    if (existing) return existing;
+
+    const instance = factory();
+    return instance ? setInstance(element, name, instance) : null;
+}
+
+/**
+ * Enumerate stored instances
+ *
+ * @param {string|null} name Limit to a component name
+ * @param {Element|Document|null} root Limit to elements within this root
+ * @returns {Array} Entries of { element, name, instance }
+ */
+function getInstances(name = null, root = null) {
+    const entries = [];
+
+    refs.forEach(ref => {
+        const element = ref.deref();
+        const instances = element ? store.get(element) : null;
+
+        if (!instances) {
+            refs.delete(ref);
+            return;
+        }
+
+        if (root && root !== element && !root.contains(element)) return;
+
+        instances.forEach((instance, instanceName) => {
+            if (name === null || name === instanceName) {
+                entries.push({ element, name: instanceName, instance });
+            }
+        });
+    });
+
+    return entries;
+}
+
+export { getInstance, getInstances, getOrCreate, removeInstance, setInstance };
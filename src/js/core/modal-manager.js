@@ -0,0 +1,135 @@
+/**
+ * Modal Manager
+ * Keeps the stack of open modals and drawers so they can be nested: z-index
+ * layering, Escape for the topmost only and the body class while any is open
+ */
+
+class ModalManager {
+    constructor(options = {}) {
+        this.options = {
+            zIndex: 1050,
+            step: 20,
+            bodyOpenClass: 'modal-open',
+            ...options
+        };
+
+        this.stack = [];
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    get size() {
+        return this.stack.length;
+    }
+
+    /**
+     * Topmost open modal, or null
+     */
+    top() {
+        return this.stack[this.stack.length - 1] || null;
+    }
+
+    isTop(modal) {
+        return this.top() === modal;
+    }
+
+    has(modal) {
+        return this.stack.includes(modal);
+    }
+
+    /**
+     * Put a modal on top of the stack and layer it above the others
+     *
+     * @param {Object} modal Instance with element, backdrop, options and close()
+     * @returns {number} Stack level, 0 for the first modal
+     */
+    push(modal) {
+        this.remove(modal, false);
+        this.stack.push(modal);
+
+        if (this.stack.length === 1) {
+            document.addEventListener('keydown', this.handleKeydown);
+        }
+
+        this.layer(modal, this.stack.length - 1);
+
+        const bodyClass = this.bodyClass(modal);
+        if (bodyClass) {
+            document.body.classList.add(bodyClass);
+        }
+
+        return this.stack.length - 1;
+    }
+
+    /**
+     * Take a modal off the stack
+     *
+     * @param {Object} modal Instance to remove
+     * @param {boolean} release Remove the body class when the stack is empty
+     */
+    remove(modal, release = true) {
+        const index = this.stack.indexOf(modal);
+        if (index === -1) return;
+
+        this.stack.splice(index, 1);
+
+        // Re-layer anything that was above it
+        this.stack.slice(index).forEach((item, offset) => this.layer(item, index + offset));
+
+        if (!this.stack.length) {
+            document.removeEventListener('keydown', this.handleKeydown);
+        }
+
+        if (release) {
+            this.release(modal);
+        }
+    }
+
+    /**
+     * Remove the body class once no open modal uses it anymore
+     */
+    release(modal) {
+        const bodyClass = this.bodyClass(modal);
+        if (!bodyClass || this.stack.some(item => this.bodyClass(item) === bodyClass)) return;
+
+        document.body.classList.remove(bodyClass);
+    }
+
+    layer(modal, level) {
+        const zIndex = this.options.zIndex + level * this.options.step;
+
+        modal.element.style.zIndex = zIndex;
+        modal.element.setAttribute('data-modal-level', level);
+
+        if (modal.backdrop) {
+            modal.backdrop.style.zIndex = zIndex - 10;
+        }
+    }
+
+    /**
+     * Body class of a modal; an empty bodyOpenClass option opts out
+     */
+    bodyClass(modal) {
+        if (modal.options && 'bodyOpenClass' in modal.options) {
+            return modal.options.bodyOpenClass;
+        }
+
+        return this.options.bodyOpenClass;
+    }
+
+    /**
+     * Escape closes the topmost modal only
+     */
+    handleKeydown(e) {
+        if (e.key !== 'Escape' || e.defaultPrevented) return;
+
+        const modal = this.top();
+        if (!modal || !modal.options.keyboard) return;
+
+        e.preventDefault();
+        modal.close();
+    }
+}
+
+const modalManager = new ModalManager();
+
+export { ModalManager, modalManager };
@@ -0,0 +1,153 @@
+/**
+ * Options Parser
+ * Reads component options from data-kpf-* attributes and data-kpf-options JSON
+ */
+
+const PREFIX = 'kpf';
+
+const DURATION_PATTERN = /^(-?\d*\.?\d+)\s*(ms|s|m)$/i;
+
+const NUMBER_PATTERN = /^-?\d*\.?\d+(e-?\d+)?$/i;
+
+// Attributes from before data-kpf-*, read for components whose defaults
+// have the option
+const LEGACY_ATTRIBUTES = {
+    'data-allow-multiple': 'allowMultiple',
+    'data-fade': 'fadeEffect',
+    'data-history': 'history',
+    'data-hide-on-scroll': 'hideOnScroll',
+    'data-sticky-offset': 'stickyOffset',
+    'data-scrollspy-target': 'target',
+    'data-scrollspy-offset': 'offset'
+};
+
+function toCamelCase(value) {
+    return value.replace(/-([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+function parseDuration(value) {
+    const match = String(value).trim().match(DURATION_PATTERN);
+    if (!match) return null;
+
+    const amount = parseFloat(match[1]);
+    const unit = match[2].toLowerCase();
+
+    if (unit === 's') return amount * 1000;
+    if (unit === 'm') return amount * 60000;
+    return amount;
+}
+
+function parseJSON(value) {
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Coerce an attribute string, using the default value as a type hint
+ *
+ * @param {string} value Raw attribute value
+ * @param {*} reference Default value for the option, if known
+ * @returns {*}
+ */
+function coerce(value, reference) {
+    const raw = value.trim();
+
+    switch (typeof reference) {
+        case 'boolean':
+            return !['false', '0', 'no', 'off'].includes(raw.toLowerCase());
+
+        case 'number': {
+            const duration = parseDuration(raw);
+            if (duration !== null) return duration;
+            const number = parseFloat(raw);
+            return Number.isNaN(number) ? reference : number;
+        }
+
+        case 'string':
+            return value;
+
+        case 'object':
+            if (reference !== null) {
+                if (NUMBER_PATTERN.test(raw)) return parseFloat(raw);
+                const duration = parseDuration(raw);
+                if (duration !== null) return duration;
+                const parsed = parseJSON(raw);
+                return parsed === undefined ? value : parsed;
+            }
+            break;
+    }
+
+    // Unknown type: infer from the value itself
+    if (raw === '' || raw === 'true') return true;
+    if (raw === 'false') return false;
+    if (raw === 'null') return null;
+    if (NUMBER_PATTERN.test(raw)) return parseFloat(raw);
+
+    const duration = parseDuration(raw);
+    if (duration !== null) return duration;
+
+    if (/^[[{]/.test(raw)) {
+        const parsed = parseJSON(raw);
+        if (parsed !== undefined) return parsed;
+    }
+
+    return value;
+}
+
+/**
+ * Parse options declared in markup
+ *
+ * Legacy attributes (data-allow-multiple, data-sticky-offset...) are read
+ * first, then data-kpf-options='{"delay": {"show": 200}}', then individual
+ * data-kpf-* attributes (data-kpf-close-on-select="false")
+ *
+ * @param {Element} element Element carrying the attributes
+ * @param {Object} defaults Component defaults, used for type coercion
+ * @param {string} prefix Attribute prefix
+ * @returns {Object}
+ */
+function parseOptions(element, defaults = {}, prefix = PREFIX) {
+    const options = {};
+
+    if (!element || !element.attributes) {
+        return options;
+    }
+
+    const attrPrefix = `data-${prefix}-`;
+    const jsonAttr = `${attrPrefix}options`;
+
+    if (prefix === PREFIX) {
+        Object.entries(LEGACY_ATTRIBUTES).forEach(([name, key]) => {
+            if (key in defaults && element.hasAttribute(name)) {
+                options[key] = coerce(element.getAttribute(name), defaults[key]);
+            }
+        });
+    }
+
+    const json = element.getAttribute(jsonAttr);
+    if (json) {
+        const parsed = parseJSON(json);
+
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+            Object.assign(options, parsed);
+        } else {
+            console.error(`KPF: invalid JSON in ${jsonAttr}`, element);
+        }
+    }
+
+    Array.from(element.attributes).forEach(attr => {
+        if (!attr.name.startsWith(attrPrefix) || attr.name === jsonAttr) return;
+
+        const key = toCamelCase(attr.name.slice(attrPrefix.length));
+        if (!key) return;
+
+        options[key] = coerce(attr.value, defaults[key]);
+    });
+
+    return options;
+}
+
+export { coerce, parseDuration, parseOptions, toCamelCase };
@@ -0,0 +1,410 @@
+/**
+ * Positioning Engine
+ * Places a floating element (tooltip, popover, menu) next to a reference
+ * element with flip, shift, size and arrow handling
+ */
+
+const SIDES = ['top', 'right', 'bottom', 'left'];
+
+const OPPOSITE = {
+    top: 'bottom',
+    bottom: 'top',
+    left: 'right',
+    right: 'left'
+};
+
+const defaults = {
+    placement: 'bottom',
+    strategy: 'absolute',
+    offset: 0,
+    flip: true,
+    fallbackPlacements: null,
+    shift: true,
+    padding: 8,
+    size: false,
+    arrow: null,
+    arrowPadding: 4
+};
+
+/**
+ * Split a placement such as 'top-start' into side and alignment
+ */
+function parsePlacement(placement = 'bottom') {
+    const [side, alignment = 'center'] = String(placement).split('-');
+
+    return {
+        side: SIDES.includes(side) ? side : 'bottom',
+        alignment: ['start', 'end'].includes(alignment) ? alignment : 'center'
+    };
+}
+
+function toPlacement(side, alignment) {
+    return alignment === 'center' ? side : `${side}-${alignment}`;
+}
+
+function isVertical(side) {
+    return side === 'top' || side === 'bottom';
+}
+
+function toRect(rect) {
+    return {
+        top: rect.top,
+        left: rect.left,
+        right: rect.right,
+        bottom: rect.bottom,
+        width: rect.width,
+        height: rect.height
+    };
+}
+
+function viewportRect() {
+    const width = document.documentElement.clientWidth || window.innerWidth;
+    const height = document.documentElement.clientHeight || window.innerHeight;
+
+    return { top: 0, left: 0, right: width, bottom: height, width, height };
+}
+
+function intersect(a, b) {
+    const top = Math.max(a.top, b.top);
+    const left = Math.max(a.left, b.left);
+    const right = Math.min(a.right, b.right);
+    const bottom = Math.min(a.bottom, b.bottom);
+
+    return { top, left, right, bottom, width: Math.max(0, right - left), height: Math.max(0, bottom - top) };
+}
+
+/**
+ * Whether an element establishes a containing block for positioned descendants
+ */
+function isContainingBlock(element, strategy) {
+    const style = getComputedStyle(element);
+
+    if (strategy === 'absolute' && style.position !== 'static') {
+        return true;
+    }
+
+    return (style.transform && style.transform !== 'none') ||
+        (style.perspective && style.perspective !== 'none') ||
+        (style.filter && style.filter !== 'none') ||
+        /paint|layout|strict|content/.test(style.contain || '') ||
+        /transform|perspective|filter/.test(style.willChange || '');
+}
+
+function getContainingBlock(floating, strategy) {
+    let element = floating.parentElement;
+
+    while (element && element !== document.body && element !== document.documentElement) {
+        if (isContainingBlock(element, strategy)) {
+            return element;
+        }
+        element = element.parentElement;
+    }
+
+    if (element === document.body && strategy === 'absolute' && getComputedStyle(element).position !== 'static') {
+        return element;
+    }
+
+    return null;
+}
+
+/**
+ * Viewport coordinates of the origin that left/top are measured from
+ */
+function getOrigin(floating, strategy) {
+    const container = getContainingBlock(floating, strategy);
+
+    if (!container) {
+        return strategy === 'fixed'
+            ? { x: 0, y: 0 }
+            : { x: -window.pageXOffset, y: -window.pageYOffset };
+    }
+
+    const rect = container.getBoundingClientRect();
+
+    return {
+        x: rect.left + container.clientLeft - container.scrollLeft,
+        y: rect.top + container.clientTop - container.scrollTop
+    };
+}
+
+/**
+ * Visible area the floating element may occupy: the viewport clipped by
+ * every overflow ancestor of the floating element
+ */
+function getBoundary(floating) {
+    let boundary = viewportRect();
+    let element = floating.parentElement;
+
+    while (element && element !== document.body && element !== document.documentElement) {
+        const style = getComputedStyle(element);
+
+        if (/auto|scroll|hidden|clip/.test(style.overflow + style.overflowX + style.overflowY)) {
+            const rect = element.getBoundingClientRect();
+            boundary = intersect(boundary, {
+                top: rect.top + element.clientTop,
+                left: rect.left + element.clientLeft,
+                right: rect.left + element.clientLeft + element.clientWidth,
+                bottom: rect.top + element.clientTop + element.clientHeight
+            });
+        }
+
+        element = element.parentElement;
+    }
+
+    return boundary;
+}
+
+function getOffset(offset) {
+    if (typeof offset === 'number') {
+        return { mainAxis: offset, crossAxis: 0 };
+    }
+
+    return { mainAxis: 0, crossAxis: 0, ...offset };
+}
+
+/**
+ * Viewport coordinates for a placement before any correction
+ */
+function getCoords(reference, floating, side, alignment, offset) {
+    let x;
+    let y;
+
+    if (isVertical(side)) {
+        y = side === 'top' ? reference.top - floating.height - offset.mainAxis : reference.bottom + offset.mainAxis;
+
+        if (alignment === 'start') {
+            x = reference.left;
+        } else if (alignment === 'end') {
+            x = reference.right - floating.width;
+        } else {
+            x = reference.left + (reference.width - floating.width) / 2;
+        }
+
+        x += offset.crossAxis;
+    } else {
+        x = side === 'left' ? reference.left - floating.width - offset.mainAxis : reference.right + offset.mainAxis;
+
+        if (alignment === 'start') {
+            y = reference.top;
+        } else if (alignment === 'end') {
+            y = reference.bottom - floating.height;
+        } else {
+            y = reference.top + (reference.height - floating.height) / 2;
+        }
+
+        y += offset.crossAxis;
+    }
+
+    return { x, y };
+}
+
+/**
+ * How far the floating element sticks out past the boundary on its side
+ */
+function getMainOverflow(coords, floating, side, boundary, padding) {
+    switch (side) {
+        case 'top':
+            return boundary.top + padding - coords.y;
+        case 'bottom':
+            return coords.y + floating.height - (boundary.bottom - padding);
+        case 'left':
+            return boundary.left + padding - coords.x;
+        default:
+            return coords.x + floating.width - (boundary.right - padding);
+    }
+}
+
+function getFallbacks(side, alignment, config) {
+    if (Array.isArray(config.fallbackPlacements)) {
+        return config.fallbackPlacements.map(parsePlacement);
+    }
+
+    const perpendicular = isVertical(side) ? ['right', 'left'] : ['bottom', 'top'];
+
+    return [
+        { side: OPPOSITE[side], alignment },
+        ...perpendicular.map(item => ({ side: item, alignment }))
+    ];
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(value, max));
+}
+
+/**
+ * Compute and apply the position of a floating element
+ *
+ * @param {Element} referenceElement Element the floating element is attached to
+ * @param {Element} floating Floating element
+ * @param {Object} options See defaults
+ * @returns {Object} { x, y, placement, side, alignment, arrow, available }
+ */
+function computePosition(referenceElement, floating, options = {}) {
+    const config = { ...defaults, ...options };
+    const offset = getOffset(config.offset);
+
+    // Measure at natural size
+    floating.style.position = config.strategy;
+    floating.style.margin = '0';
+    if (config.size) {
+        floating.style.maxWidth = '';
+        floating.style.maxHeight = '';
+    }
+
+    const reference = toRect(referenceElement.getBoundingClientRect());
+    const floatingRect = floating.getBoundingClientRect();
+    const size = { width: floatingRect.width, height: floatingRect.height };
+    const boundary = getBoundary(floating);
+
+    let { side, alignment } = parsePlacement(config.placement);
+    let coords = getCoords(reference, size, side, alignment, offset);
+
+    // Flip to the first placement with room on its main axis
+    if (config.flip && getMainOverflow(coords, size, side, boundary, config.padding) > 0) {
+        const candidates = [{ side, alignment }, ...getFallbacks(side, alignment, config)];
+        let best = null;
+
+        for (const candidate of candidates) {
+            const candidateCoords = getCoords(reference, size, candidate.side, candidate.alignment, offset);
+            const overflow = getMainOverflow(candidateCoords, size, candidate.side, boundary, config.padding);
+
+            if (overflow <= 0) {
+                best = { ...candidate, coords: candidateCoords, overflow };
+                break;
+            }
+
+            if (!best || overflow < best.overflow) {
+                best = { ...candidate, coords: candidateCoords, overflow };
+            }
+        }
+
+        ({ side, alignment, coords } = best);
+    }
+
+    // Shift along the cross axis to stay inside the boundary, without detaching from the reference
+    if (config.shift) {
+        const arrowRoom = config.arrow ? config.arrowPadding * 2 : 0;
+
+        if (isVertical(side)) {
+            const min = Math.max(boundary.left + config.padding, reference.left - size.width + arrowRoom);
+            const max = Math.min(boundary.right - config.padding - size.width, reference.right - arrowRoom);
+            coords.x = max >= min ? clamp(coords.x, min, max) : min;
+        } else {
+            const min = Math.max(boundary.top + config.padding, reference.top - size.height + arrowRoom);
+            const max = Math.min(boundary.bottom - config.padding - size.height, reference.bottom - arrowRoom);
+            coords.y = max >= min ? clamp(coords.y, min, max) : min;
+        }
+    }
+
+    // Space left for the floating element on its final side
+    const available = {
+        width: isVertical(side)
+            ? boundary.width - config.padding * 2
+            : (side === 'left' ? reference.left - boundary.left : boundary.right - reference.right) - offset.mainAxis - config.padding,
+        height: isVertical(side)
+            ? (side === 'top' ? reference.top - boundary.top : boundary.bottom - reference.bottom) - offset.mainAxis - config.padding
+            : boundary.height - config.padding * 2
+    };
+
+    if (config.size) {
+        if (typeof config.size === 'function') {
+            config.size({ availableWidth: available.width, availableHeight: available.height, floating, side });
+        } else {
+            floating.style.maxWidth = `${Math.max(0, available.width)}px`;
+            floating.style.maxHeight = `${Math.max(0, available.height)}px`;
+        }
+
+        // Keep a resized element attached to the reference on the top/left sides
+        const resized = floating.getBoundingClientRect();
+        if (side === 'top') {
+            coords.y = reference.top - offset.mainAxis - resized.height;
+        } else if (side === 'left') {
+            coords.x = reference.left - offset.mainAxis - resized.width;
+        }
+    }
+
+    // Apply relative to the containing block
+    const origin = getOrigin(floating, config.strategy);
+    const x = Math.round(coords.x - origin.x);
+    const y = Math.round(coords.y - origin.y);
+
+    floating.style.top = `${y}px`;
+    floating.style.left = `${x}px`;
+    floating.style.right = 'auto';
+    floating.style.bottom = 'auto';
+
+    // Point the arrow at the reference's center
+    let arrow = null;
+    if (config.arrow) {
+        const arrowRect = config.arrow.getBoundingClientRect();
+
+        if (isVertical(side)) {
+            const center = reference.left + reference.width / 2 - coords.x - arrowRect.width / 2;
+            arrow = { x: clamp(center, config.arrowPadding, size.width - arrowRect.width - config.arrowPadding), y: null };
+            config.arrow.style.left = `${Math.round(arrow.x)}px`;
+            config.arrow.style.top = '';
+        } else {
+            const center = reference.top + reference.height / 2 - coords.y - arrowRect.height / 2;
+            arrow = { x: null, y: clamp(center, config.arrowPadding, size.height - arrowRect.height - config.arrowPadding) };
+            config.arrow.style.top = `${Math.round(arrow.y)}px`;
+            config.arrow.style.left = '';
+        }
+
+        config.arrow.style.transform = 'none';
+    }
+
+    return {
+        x,
+        y,
+        placement: toPlacement(side, alignment),
+        side,
+        alignment,
+        arrow,
+        available
+    };
+}
+
+/**
+ * Re-run update when anything that may move the floating element changes
+ *
+ * @returns {Function} Stops updating
+ */
+function autoUpdate(reference, floating, update) {
+    let frame = null;
+
+    const schedule = () => {
+        if (frame) return;
+
+        frame = requestAnimationFrame(() => {
+            frame = null;
+            update();
+        });
+    };
+
+    // Capture catches scrolling of any ancestor, not just the window
+    window.addEventListener('scroll', schedule, { capture: true, passive: true });
+    window.addEventListener('resize', schedule);
+
+    let observer = null;
+    if ('ResizeObserver' in window) {
+        observer = new ResizeObserver(schedule);
+        observer.observe(reference);
+        observer.observe(floating);
+    }
+
+    return () => {
+        window.removeEventListener('scroll', schedule, { capture: true, passive: true });
+        window.removeEventListener('resize', schedule);
+
+        if (observer) {
+            observer.disconnect();
+        }
+
+        if (frame) {
+            cancelAnimationFrame(frame);
+            frame = null;
+        }
+    };
+}
+
+export { autoUpdate, computePosition, parsePlacement };
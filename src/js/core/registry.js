@@ -0,0 +1,200 @@
+/**
+ * Component Registry
+ * Maps selectors to components and keeps the DOM and instances in sync
+ */
+
+import { getInstance, getInstances, removeInstance, setInstance } from './instances.js';
+
+class ComponentRegistry {
+    constructor(options = {}) {
+        this.options = {
+            observe: true,
+            ...options
+        };
+
+        this.definitions = new Map();
+        this.observer = null;
+    }
+
+    /**
+     * Register a component definition
+     *
+     * @param {string} name Component name (e.g. 'Accordion')
+     * @param {Object} definition { selector, component, options, create, lazy,
+     *     setup } setup runs once on registration, e.g. for page-wide styles
+     */
+    register(name, definition = {}) {
+        const config = {
+            name,
+            selector: '',
+            component: null,
+            options: null,
+            create: null,
+            lazy: false,
+            setup: null,
+            ...definition
+        };
+
+        if (!config.selector || (!config.component && !config.create)) {
+            console.error(`KPF: component "${name}" needs a selector and a component or create function`);
+            return this;
+        }
+
+        this.definitions.set(name, config);
+
+        if (config.setup) {
+            config.setup();
+        }
+
+        return this;
+    }
+
+    unregister(name) {
+        this.definitions.delete(name);
+        return this;
+    }
+
+    get(name) {
+        return this.definitions.get(name) || null;
+    }
+
+    /**
+     * Initialize registered components within a root
+     *
+     * @param {Element|Document} root Subtree to scan
+     * @param {Array|null} names Limit to these component names
+     */
+    initialize(root = document, names = null) {
+        this.definitions.forEach(definition => {
+            if (definition.lazy) return;
+            if (names && !names.includes(definition.name)) return;
+
+            this.query(root, definition.selector).forEach(element => {
+                this.create(definition, element);
+            });
+        });
+    }
+
+    /**
+     * Get the element's instance, creating it from the definition if needed
+     *
+     * @param {Object|string} definition Definition or registered name
+     * @param {Element} element Element to bind
+     * @param {Object} options Extra options for a new instance
+     */
+    create(definition, element, options = {}) {
+        if (typeof definition === 'string') {
+            definition = this.get(definition);
+        }
+
+        if (!definition || !element) return null;
+
+        const existing = getInstance(element, definition.name);
+        if (existing) return existing;
+
+        try {
+            const config = {
+                ...(definition.options ? definition.options(element) : {}),
+                ...options
+            };
+
+            const instance = definition.create
+                ? definition.create(element, config)
+                : new definition.component(element, config);
+
+            if (instance) {
+                setInstance(element, definition.name, instance);
+            }
+
+            return instance || null;
+        } catch (error) {
+            console.error(`KPF: failed to initialize ${definition.name}`, error);
+        }
+
+        return null;
+    }
+
+    /**
+     * Destroy component instances bound within a root
+     */
+    teardown(root = document) {
+        getInstances(null, root).forEach(({ element, name, instance }) => {
+            if (typeof instance.destroy === 'function') {
+                try {
+                    instance.destroy();
+                } catch (error) {
+                    console.error(`KPF: failed to destroy ${name}`, error);
+                }
+            }
+
+            removeInstance(element, name, instance);
+        });
+    }
+
+    query(root, selector) {
+        const elements = root.querySelectorAll ? Array.from(root.querySelectorAll(selector)) : [];
+
+        if (root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) {
+            elements.unshift(root);
+        }
+
+        return elements;
+    }
+
+    /**
+     * Watch the document for added and removed nodes
+     */
+    observe(target = document.body) {
+        if (this.observer || !this.options.observe || !('MutationObserver' in window) || !target) {
+            return;
+        }
+
+        this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+        this.observer.observe(target, { childList: true, subtree: true });
+    }
+
+    disconnect() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+    }
+
+    handleMutations(mutations) {
+        const added = new Set();
+        const removed = new Set();
+
+        mutations.forEach(mutation => {
+            mutation.removedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE) removed.add(node);
+            });
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE) added.add(node);
+            });
+        });
+
+        // Nodes that were only moved are still connected and keep their instances
+        removed.forEach(node => {
+            if (!node.isConnected) {
+                this.teardown(node);
+            }
+        });
+
+        added.forEach(node => {
+            if (node.isConnected) {
+                this.initialize(node);
+            }
+        });
+
+        if (added.size || removed.size) {
+            document.dispatchEvent(new CustomEvent('kpf:mutate', {
+                detail: {
+                    added: Array.from(added),
+                    removed: Array.from(removed)
+                }
+            }));
+        }
+    }
+}
+
+export default ComponentRegistry;
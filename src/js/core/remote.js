@@ -0,0 +1,131 @@
+/**
+ * Remote Content
+ * Fetches HTML or JSON for components that load their content on demand,
+ * with an optional per-URL cache and simple template rendering
+ */
+
+const cache = new Map();
+
+/**
+ * Load content from a URL or a function
+ *
+ * A function may return a string, a Node, an object or a promise of those.
+ * URLs answering with JSON resolve with the parsed object, anything else
+ * with the response text.
+ *
+ * @param {string|Function} source URL or loader function
+ * @param {Object} options { cache, signal, fetch }
+ * @returns {Promise<string|Node|Object>}
+ */
+async function fetchContent(source, options = {}) {
+    const { signal = null } = options;
+
+    if (typeof source === 'function') {
+        return source({ signal });
+    }
+
+    const url = String(source);
+
+    if (options.cache && cache.has(url)) {
+        return cache.get(url);
+    }
+
+    const response = await fetch(url, {
+        credentials: 'same-origin',
+        headers: { 'X-Requested-With': 'XMLHttpRequest' },
+        ...options.fetch,
+        signal
+    });
+
+    if (!response.ok) {
+        throw new Error(`Request failed with status ${response.status}`);
+    }
+
+    const type = response.headers.get('content-type') || '';
+    const content = type.includes('json') ? await response.json() : await response.text();
+
+    if (options.cache) {
+        cache.set(url, content);
+    }
+
+    return content;
+}
+
+/**
+ * Forget cached content for a URL, or everything
+ */
+function clearCache(url = null) {
+    if (url === null) {
+        cache.clear();
+    } else {
+        cache.delete(String(url));
+    }
+}
+
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function lookup(data, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * Render data through a template
+ *
+ * The template is a function returning HTML, or a <template> element (or its
+ * selector) using {{ path.to.value }} for escaped and {{{ path }}} for raw
+ * values, e.g. {{{ content.rendered }}} for a REST API post.
+ *
+ * @param {Function|Element|string} template Template
+ * @param {Object} data Data to render
+ * @returns {string}
+ */
+function renderTemplate(template, data) {
+    if (typeof template === 'function') {
+        return template(data);
+    }
+
+    const element = typeof template === 'string' ? document.querySelector(template) : template;
+    if (!element) {
+        throw new Error('Template not found');
+    }
+
+    const source = element instanceof HTMLTemplateElement ? element.innerHTML : element.textContent;
+
+    // One pass, so placeholders inside inserted values are left alone
+    return source.replace(/\{\{\{\s*([\w.$-]+)\s*\}\}\}|\{\{\s*([\w.$-]+)\s*\}\}/g, (match, raw, escaped) => {
+        const value = lookup(data, raw || escaped);
+        if (value == null) return '';
+        return raw ? String(value) : escapeHTML(value);
+    });
+}
+
+/**
+ * Replace the children of an element with loaded content
+ *
+ * @param {Element} target Element to fill
+ * @param {string|Node|Object} content Loaded content
+ * @param {Function|Element|string|null} template Template for object content
+ */
+function applyContent(target, content, template = null) {
+    if (content !== null && typeof content === 'object' && !(content instanceof Node)) {
+        if (!template) {
+            throw new Error('A template is required to render JSON content');
+        }
+        content = renderTemplate(template, content);
+    }
+
+    if (content instanceof Node) {
+        target.replaceChildren(content);
+    } else {
+        target.innerHTML = content == null ? '' : String(content);
+    }
+}
+
+export { applyContent, clearCache, escapeHTML, fetchContent, renderTemplate };
@@ -0,0 +1,198 @@
+/**
+ * HTML Sanitizer
+ * Allowlist-based cleaning of HTML passed to components, and a shared helper
+ * to fill an element with text, sanitized HTML, a node or a <template>
+ */
+
+const ARIA_ATTRIBUTE = /^aria-[\w-]*$/i;
+
+// Tags and the attributes they may keep; '*' applies to every tag.
+// Entries are attribute names or regular expressions.
+const defaultAllowList = {
+    '*': ['class', 'dir', 'id', 'lang', 'role', 'title', ARIA_ATTRIBUTE],
+    a: ['href', 'hreflang', 'rel', 'target'],
+    abbr: [],
+    b: [],
+    blockquote: ['cite'],
+    br: [],
+    code: [],
+    dd: [],
+    del: ['datetime'],
+    div: [],
+    dl: [],
+    dt: [],
+    em: [],
+    figcaption: [],
+    figure: [],
+    h1: [],
+    h2: [],
+    h3: [],
+    h4: [],
+    h5: [],
+    h6: [],
+    hr: [],
+    i: [],
+    img: ['alt', 'height', 'loading', 'src', 'srcset', 'width'],
+    ins: ['datetime'],
+    kbd: [],
+    li: [],
+    mark: [],
+    ol: ['reversed', 'start', 'type'],
+    p: [],
+    pre: [],
+    q: ['cite'],
+    s: [],
+    small: [],
+    span: [],
+    strong: [],
+    sub: [],
+    sup: [],
+    table: [],
+    tbody: [],
+    td: ['colspan', 'rowspan'],
+    tfoot: [],
+    th: ['colspan', 'rowspan', 'scope'],
+    thead: [],
+    time: ['datetime'],
+    tr: [],
+    u: [],
+    ul: []
+};
+
+const SAFE_SCHEMES = ['http', 'https', 'mailto', 'tel', 'ftp'];
+
+const URL_ATTRIBUTES = ['href', 'src', 'cite', 'action', 'formaction', 'poster', 'background', 'xlink:href'];
+
+const DATA_IMAGE = /^data:image\/(?:avif|bmp|gif|jpeg|png|webp);base64,[\d+/a-z]+=*$/i;
+
+/**
+ * Whether a URL is relative or uses an allowed scheme
+ *
+ * Inline images are allowed as base64 data URLs.
+ *
+ * @param {string} value URL
+ * @param {Array} schemes Allowed schemes, without the colon
+ * @returns {boolean}
+ */
+function isSafeURL(value, schemes = SAFE_SCHEMES) {
+    // Browsers ignore whitespace and control characters inside the scheme
+    const url = String(value).replace(/[\u0000- \u007f-\u009f]/g, '');
+    const match = url.match(/^([a-z][a-z\d+.-]*):/i);
+
+    if (!match) return true;
+
+    return schemes.includes(match[1].toLowerCase()) || DATA_IMAGE.test(url);
+}
+
+function isAllowedAttribute(attribute, allowed, schemes) {
+    const name = attribute.name.toLowerCase();
+
+    // Event handlers never survive, whatever the allowlist says
+    if (name.startsWith('on')) return false;
+
+    if (!allowed.some(entry => (entry instanceof RegExp ? entry.test(name) : entry === name))) {
+        return false;
+    }
+
+    if (URL_ATTRIBUTES.includes(name)) {
+        return isSafeURL(attribute.value, schemes);
+    }
+
+    if (name === 'srcset') {
+        return attribute.value.split(',').every(candidate => isSafeURL(candidate.trim().split(/\s+/)[0], schemes));
+    }
+
+    return true;
+}
+
+/**
+ * Parse and clean HTML into a fragment
+ *
+ * Parsing happens in an inert <template>, so nothing loads or runs.
+ */
+function sanitizeFragment(html, options = {}) {
+    const allowList = options.allowList || defaultAllowList;
+    const schemes = options.allowedSchemes || SAFE_SCHEMES;
+    const template = document.createElement('template');
+
+    template.innerHTML = html;
+
+    Array.from(template.content.querySelectorAll('*')).forEach(element => {
+        const tag = element.nodeName.toLowerCase();
+
+        // Disallowed tags go with their content, <script> and <style> included
+        if (!Object.prototype.hasOwnProperty.call(allowList, tag)) {
+            element.remove();
+            return;
+        }
+
+        const allowed = [...(allowList['*'] || []), ...allowList[tag]];
+
+        Array.from(element.attributes).forEach(attribute => {
+            if (!isAllowedAttribute(attribute, allowed, schemes)) {
+                element.removeAttribute(attribute.name);
+            }
+        });
+
+        // New windows get no handle on the opener
+        if (tag === 'a' && element.getAttribute('target') === '_blank') {
+            element.setAttribute('rel', 'noopener noreferrer');
+        }
+    });
+
+    return template.content;
+}
+
+/**
+ * Clean an HTML string against an allowlist
+ *
+ * @param {string} html HTML to clean
+ * @param {Object} options { allowList, allowedSchemes }
+ * @returns {string}
+ */
+function sanitizeHTML(html, options = {}) {
+    const wrapper = document.createElement('div');
+    wrapper.appendChild(sanitizeFragment(String(html), options));
+    return wrapper.innerHTML;
+}
+
+/**
+ * Replace the children of an element with component content
+ *
+ * Content may be plain text, an HTML string (with html: true), a Node, a
+ * <template> whose content is cloned, or a function returning one of those.
+ * HTML strings are sanitized unless sanitize is false; a custom sanitizeFn
+ * receives the string and returns the HTML to insert. Nodes and templates
+ * are trusted as they are. A Node is moved, not copied.
+ *
+ * @param {Element} target Element to fill
+ * @param {*} content Content
+ * @param {Object} options { html, sanitize, sanitizeFn, allowList, allowedSchemes }
+ */
+function setContent(target, content, options = {}) {
+    const { html = false, sanitize = true, sanitizeFn = null } = options;
+
+    if (typeof content === 'function') {
+        content = content(target);
+    }
+
+    if (content instanceof HTMLTemplateElement) {
+        target.replaceChildren(content.content.cloneNode(true));
+    } else if (content instanceof Node) {
+        target.replaceChildren(content);
+    } else {
+        const value = content == null ? '' : String(content);
+
+        if (!html) {
+            target.textContent = value;
+        } else if (!sanitize) {
+            target.innerHTML = value;
+        } else if (sanitizeFn) {
+            target.innerHTML = sanitizeFn(value);
+        } else {
+            target.replaceChildren(sanitizeFragment(value, options));
+        }
+    }
+}
+
+export { defaultAllowList, isSafeURL, sanitizeHTML, setContent };
@@ -0,0 +1,161 @@
+/**
+ * Storage
+ * Small key/value stores over localStorage, sessionStorage and cookies,
+ * with optional expiry, for components that remember state between visits
+ */
+
+const DAY = 86400000;
+
+// Browsers cap cookie lifetimes at 400 days
+const COOKIE_MAX_AGE = 400 * 86400;
+
+const memory = new Map();
+const stores = {};
+
+/**
+ * Wrap a stored value with its expiry time
+ *
+ * @param {*} value Value to store
+ * @param {number} expires Lifetime in days, 0 for no expiry
+ */
+function pack(value, expires) {
+    return JSON.stringify({ value, expires: expires > 0 ? Date.now() + expires * DAY : 0 });
+}
+
+/**
+ * Unwrap a stored value; expired or unreadable entries give undefined
+ */
+function unpack(raw) {
+    if (raw === null || raw === undefined) return undefined;
+
+    try {
+        const entry = JSON.parse(raw);
+        if (entry && entry.expires && entry.expires < Date.now()) return undefined;
+        return entry ? entry.value : undefined;
+    } catch (error) {
+        return undefined;
+    }
+}
+
+function webStorage(name) {
+    let storage = null;
+
+    // Throws when storage is disabled, e.g. some private browsing modes
+    try {
+        storage = window[name];
+        const probe = '__kpf__';
+        storage.setItem(probe, probe);
+        storage.removeItem(probe);
+    } catch (error) {
+        storage = null;
+    }
+
+    if (!storage) return memoryStorage();
+
+    return {
+        get(key) {
+            const value = unpack(storage.getItem(key));
+            if (value === undefined) {
+                storage.removeItem(key);
+            }
+            return value;
+        },
+        set(key, value, expires = 0) {
+            try {
+                storage.setItem(key, pack(value, expires));
+            } catch (error) {
+                // Quota exceeded: the value is simply not remembered
+            }
+        },
+        remove(key) {
+            storage.removeItem(key);
+        },
+        keys(prefix = '') {
+            return Object.keys(storage).filter(key => key.startsWith(prefix));
+        }
+    };
+}
+
+function cookieStorage() {
+    const read = () => document.cookie.split(';').reduce((cookies, part) => {
+        const index = part.indexOf('=');
+        if (index > -1) {
+            try {
+                cookies[decodeURIComponent(part.slice(0, index).trim())] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                // Not one of ours
+            }
+        }
+        return cookies;
+    }, {});
+
+    const write = (key, value, maxAge) => {
+        document.cookie = `${encodeURIComponent(key)}=${encodeURIComponent(value)}; max-age=${maxAge}; path=/; SameSite=Lax`;
+    };
+
+    return {
+        get(key) {
+            return unpack(read()[key]);
+        },
+        set(key, value, expires = 0) {
+            write(key, pack(value, expires), expires > 0 ? Math.round(expires * 86400) : COOKIE_MAX_AGE);
+        },
+        remove(key) {
+            write(key, '', 0);
+        },
+        keys(prefix = '') {
+            return Object.keys(read()).filter(key => key.startsWith(prefix));
+        }
+    };
+}
+
+function memoryStorage() {
+    return {
+        get(key) {
+            const value = unpack(memory.get(key));
+            if (value === undefined) {
+                memory.delete(key);
+            }
+            return value;
+        },
+        set(key, value, expires = 0) {
+            memory.set(key, pack(value, expires));
+        },
+        remove(key) {
+            memory.delete(key);
+        },
+        keys(prefix = '') {
+            return [...memory.keys()].filter(key => key.startsWith(prefix));
+        }
+    };
+}
+
+/**
+ * Get a store by backend name
+ *
+ * Every store has get(key), set(key, value, expiresInDays), remove(key) and
+ * keys(prefix). get() returns undefined for missing or expired entries.
+ * Unavailable storage falls back to memory for the current page.
+ *
+ * @param {string} type 'local', 'session' or 'cookie'
+ * @returns {Object}
+ */
+function getStore(type = 'local') {
+    const name = ['local', 'session', 'cookie', 'memory'].includes(type) ? type : 'local';
+
+    if (!stores[name]) {
+        if (name === 'session') {
+            stores[name] = webStorage('sessionStorage');
+        } else if (name === 'cookie') {
+            stores[name] = cookieStorage();
+        } else if (name === 'memory') {
+            stores[name] = memoryStorage();
+        } else {
+            stores[name] = webStorage('localStorage');
+        }
+    }
+
+    return stores[name];
+}
+
+export { getStore };
@@ -10,13 +10,21 @@
 import Accordion from './components/accordion.js';
 import { Alert, AlertFactory } from './components/alert.js';
 import Collapse from './components/collapse.js';
+import Combobox from './components/combobox.js';
+import Dialog from './components/dialog.js';
 import Dropdown from './components/dropdown.js';
 import Modal from './components/modal.js';
 import { Navigation, ScrollSpy } from './components/navigation.js';
+import Offcanvas from './components/offcanvas.js';
 import ScrollToTop from './components/scroll-to-top.js';
 import SmoothScroll, { BackToTop, InfiniteScroll, ScrollProgress, ScrollReveal } from './components/scroll.js';
 import Tabs from './components/tabs.js';
+import Toast from './components/toast.js';
 import { Popover, Tooltip } from './components/tooltip.js';
+import { getInstance, getInstances } from './core/instances.js';
+import { parseOptions } from './core/options.js';
+import ComponentRegistry from './core/registry.js';
+import { defaultAllowList, sanitizeHTML } from './core/sanitize.js';
 
 /**
  * KPF Global Object
@@ -27,10 +35,14 @@ const KPF = {
     Accordion,
     Tabs,
     Modal,
+    Dialog,
+    Offcanvas,
     Dropdown,
+    Combobox,
     Collapse,
     Alert,
     AlertFactory,
+    Toast,
     Tooltip,
     Popover,
     Navigation,
@@ -45,21 +57,133 @@ const KPF = {
     // Version
     version: '1.0.1',
 
+    // Markup option parser (data-kpf-* / data-kpf-options)
+    parseOptions,
+
+    // Sanitizer applied to html: true content, and its default allowlist
+    // (add tags or attributes here to allow them everywhere)
+    sanitizeHTML,
+    allowList: defaultAllowList,
+
+    // Component registry
+    registry: new ComponentRegistry(),
+
+    // Remembered alert and toast dismissals, e.g. KPF.alerts.reset('maintenance')
+    alerts: {
+        isDismissed: Alert.isDismissed,
+        dismiss: Alert.dismiss,
+        reset: Alert.reset
+    },
+
+    /**
+     * Register a component with the auto-initializer
+     */
+    register(name, definition) {
+        this.registry.register(name, definition);
+        return this;
+    },
+
+    /**
+     * Register the built-in components
+     */
+    registerComponents() {
+        this.registry
+            .register('Accordion', {
+                selector: '.accordion',
+                component: Accordion
+            })
+            .register('Tabs', {
+                selector: '.tabs',
+                component: Tabs,
+                // Tabs in markup fade only with data-fade
+                options: () => ({
+                    fadeEffect: false
+                })
+            })
+            .register('Modal', {
+                selector: '.modal',
+                component: Modal,
+                lazy: true
+            })
+            .register('Offcanvas', {
+                selector: '.offcanvas',
+                component: Offcanvas,
+                lazy: true
+            })
+            .register('Dropdown', {
+                selector: '.dropdown',
+                component: Dropdown
+            })
+            .register('Combobox', {
+                selector: 'select[data-combobox]',
+                component: Combobox
+            })
+            .register('Collapse', {
+                selector: '.collapse.show',
+                component: Collapse
+            })
+            .register('Alert', {
+                // Toasts dismiss themselves
+                selector: '.alert-dismissible:not(.toast), [data-alert-id]:not(.toast)',
+                component: Alert,
+                // Hide remembered dismissals before alerts initialize
+                setup: () => Alert.hideDismissed()
+            })
+            .register('Tooltip', {
+                selector: '[data-tooltip]',
+                component: Tooltip
+            })
+            .register('Popover', {
+                selector: '[data-popover], [data-toggle="popover"]',
+                component: Popover
+            })
+            .register('Navigation', {
+                selector: '.navbar',
+                component: Navigation
+            })
+            .register('ScrollSpy', {
+                selector: '[data-scrollspy]',
+                component: ScrollSpy
+            })
+            .register('ScrollToTop', {
+                selector: '.back-to-top',
+                create: element => new ScrollToTop({
+                    showProgress: element.classList.contains('back-to-top-progress')
+                })
+            })
+            .register('BackToTop', {
+                selector: '.back-to-top',
+                create: () => new BackToTop()
+            })
+            .register('ScrollReveal', {
+                selector: '[data-scroll-reveal]',
+                create: element => new ScrollReveal().add(element)
+            })
+            .register('ScrollProgress', {
+                selector: '[data-scroll-progress]',
+                create: () => new ScrollProgress()
+            })
+            .register('InfiniteScroll', {
+                selector: '[data-infinite-scroll]',
+                create: element => new InfiniteScroll({ container: element })
+            });
+    },
+
     /**
      * Initialize all components
      */
     init() {
-        this.initAccordions();
-        this.initTabs();
+        if (!this.registry.definitions.size) {
+            this.registerComponents();
+        }
+
         this.initModals();
-        this.initDropdowns();
-        this.initCollapse();
-        this.initAlerts();
-        this.initTooltips();
-        this.initPopovers();
-        this.initNavigation();
         this.initScroll();
-        this.initScrollToTop();
+        Collapse.bindTriggers();
+        this.registry.initialize(document);
+
+        // Watch for added and removed content
+        this.registry.observe(document.body);
 
         // Dispatch ready event
         document.dispatchEvent(new CustomEvent('kpf:ready', {
@@ -70,169 +194,90 @@ const KPF = {
     /**
      * Initialize the scroll-to-top
      */
-    initScrollToTop() {
-        const button = document.querySelector('.back-to-top');
-        if (button && !button.scrollToTopInstance) {
-            button.scrollToTopInstance = new ScrollToTop({
-                showProgress: button.classList.contains('back-to-top-progress')
-            });
-        }
+    initScrollToTop(root = document) {
+        this.registry.initialize(root, ['ScrollToTop']);
     },
 
     /**
      * Initialize accordions
      */
-    initAccordions() {
-        document.querySelectorAll('.accordion').forEach(element => {
-            if (!element.accordionInstance) {
-                element.accordionInstance = new Accordion(element, {
-                    allowMultiple: element.hasAttribute('data-allow-multiple')
-                });
-            }
-        });
+    initAccordions(root = document) {
+        this.registry.initialize(root, ['Accordion']);
     },
 
     /**
      * Initialize tabs
      */
-    initTabs() {
-        document.querySelectorAll('.tabs').forEach(element => {
-            if (!element.tabsInstance) {
-                element.tabsInstance = new Tabs(element, {
-                    fadeEffect: element.hasAttribute('data-fade'),
-                    history: element.hasAttribute('data-history')
-                });
-            }
-        });
+    initTabs(root = document) {
+        this.registry.initialize(root, ['Tabs']);
     },
 
     /**
-     * Initialize modals
+     * Initialize modal and offcanvas triggers
+     * Triggers are delegated so modals added later work without re-binding
      */
     initModals() {
-        document.querySelectorAll('[data-modal-target]').forEach(trigger => {
-            if (trigger.hasAttribute('data-modal-initialized')) return;
-
-            trigger.setAttribute('data-modal-initialized', 'true');
-            trigger.addEventListener('click', (e) => {
-                e.preventDefault();
-                const targetSelector = trigger.getAttribute('data-modal-target');
-                const modal = document.querySelector(targetSelector);
-
-                if (modal) {
-                    if (!modal.modalInstance) {
-                        modal.modalInstance = new Modal(modal, {
-                            backdrop: trigger.getAttribute('data-backdrop') !== 'false',
-                            keyboard: trigger.getAttribute('data-keyboard') !== 'false'
-                        });
-                    }
-                    modal.modalInstance.open();
-                }
-            });
-        });
+        Modal.bindTriggers();
+        Offcanvas.bindTriggers();
     },
 
     /**
      * Initialize dropdowns
      */
-    initDropdowns() {
-        document.querySelectorAll('.dropdown').forEach(element => {
-            if (!element.dropdownInstance) {
-                element.dropdownInstance = new Dropdown(element);
-            }
-        });
+    initDropdowns(root = document) {
+        this.registry.initialize(root, ['Dropdown']);
+    },
+
+    /**
+     * Initialize comboboxes
+     */
+    initComboboxes(root = document) {
+        this.registry.initialize(root, ['Combobox']);
     },
 
     /**
      * Initialize collapse
      */
-    initCollapse() {
-        document.querySelectorAll('.collapse.show').forEach(element => {
-            if (!element.collapseInstance) {
-                element.collapseInstance = new Collapse(element);
-            }
-        });
+    initCollapse(root = document) {
+        Collapse.bindTriggers();
+        this.registry.initialize(root, ['Collapse']);
     },
 
     /**
      * Initialize alerts
      */
-    initAlerts() {
-        document.querySelectorAll('.alert-dismissible').forEach(element => {
-            if (!element.alertInstance) {
-                element.alertInstance = new Alert(element);
-            }
-        });
+    initAlerts(root = document) {
+        this.registry.initialize(root, ['Alert']);
     },
 
     /**
      * Initialize tooltips
      */
-    initTooltips() {
-        document.querySelectorAll('[data-tooltip]').forEach(element => {
-            if (!element.tooltipInstance) {
-                element.tooltipInstance = new Tooltip(element);
-            }
-        });
+    initTooltips(root = document) {
+        this.registry.initialize(root, ['Tooltip']);
     },
 
     /**
      * Initialize popovers
      */
-    initPopovers() {
-        document.querySelectorAll('[data-popover], [data-toggle="popover"]').forEach(element => {
-            if (!element.popoverInstance) {
-                element.popoverInstance = new Popover(element);
-            }
-        });
+    initPopovers(root = document) {
+        this.registry.initialize(root, ['Popover']);
     },
 
     /**
      * Initialize navigation
      */
-    initNavigation() {
-        document.querySelectorAll('.navbar').forEach(element => {
-            if (!element.navigationInstance) {
-                element.navigationInstance = new Navigation(element, {
-                    hideOnScroll: element.hasAttribute('data-hide-on-scroll'),
-                    stickyOffset: parseInt(element.getAttribute('data-sticky-offset')) || 0
-                });
-            }
-        });
-
-        document.querySelectorAll('[data-scrollspy]').forEach(element => {
-            if (!element.scrollSpyInstance) {
-                element.scrollSpyInstance = new ScrollSpy(element, {
-                    target: element.getAttribute('data-scrollspy-target'),
-                    offset: parseInt(element.getAttribute('data-scrollspy-offset')) || 100
-                });
-            }
-        });
+    initNavigation(root = document) {
+        this.registry.initialize(root, ['Navigation', 'ScrollSpy']);
     },
 
     /**
      * Initialize scroll components
      */
     initScroll() {
-        // Smooth scroll
+        // Smooth scroll (one per document); reveals and progress bars are
+        // registered components
         new SmoothScroll();
-
-        // Back to top
-        const backToTop = document.querySelector('.back-to-top');
-        if (backToTop && !backToTop.backToTopInstance) {
-            backToTop.backToTopInstance = new BackToTop();
-        }
-
-        // Scroll reveal
-        if (document.querySelector('[data-scroll-reveal]')) {
-            new ScrollReveal();
-        }
-
-        // Scroll progress
-        const scrollProgress = document.querySelector('[data-scroll-progress]');
-        if (scrollProgress && !scrollProgress.scrollProgressInstance) {
-            scrollProgress.scrollProgressInstance = new ScrollProgress();
-        }
     },
 
     /**
@@ -247,71 +292,109 @@ const KPF = {
     },
 
     /**
-     * Success alert shorthand
+     * Show a toast notification
+     */
+    toast(message, options = {}) {
+        return Toast.show(message, options);
+    },
+
+    /**
+     * Success toast shorthand
      */
     success(message, options = {}) {
-        return AlertFactory.success(message, {
-            container: document.body,
-            duration: 5000,
-            ...options
-        });
+        return Toast.success(message, options);
     },
 
     /**
-     * Error alert shorthand
+     * Error toast shorthand, stays until dismissed
      */
     error(message, options = {}) {
-        return AlertFactory.error(message, {
-            container: document.body,
-            duration: 0,
-            ...options
-        });
+        return Toast.error(message, options);
     },
 
     /**
-     * Warning alert shorthand
+     * Warning toast shorthand
      */
     warning(message, options = {}) {
-        return AlertFactory.warning(message, {
-            container: document.body,
-            duration: 5000,
-            ...options
-        });
+        return Toast.warning(message, options);
     },
 
     /**
-     * Info alert shorthand
+     * Info toast shorthand
      */
     info(message, options = {}) {
-        return AlertFactory.info(message, {
-            container: document.body,
-            duration: 5000,
-            ...options
-        });
+        return Toast.info(message, options);
+    },
+
+    /**
+     * Open a dialog, resolves with the value of the pressed button
+     */
+    dialog(options = {}) {
+        return Dialog.open(options);
+    },
+
+    /**
+     * Confirmation dialog, resolves with true or false
+     */
+    confirm(options = {}) {
+        return Dialog.confirm(options);
+    },
+
+    /**
+     * Prompt dialog, resolves with the entered value or null
+     */
+    prompt(options = {}) {
+        return Dialog.prompt(options);
+    },
+
+    /**
+     * Get a component instance bound to an element
+     *
+     * @param {Element|string} element Element or selector
+     * @param {string|null} name Component name, e.g. 'Modal'
+     */
+    getInstance(element, name = null) {
+        const target = typeof element === 'string' ? document.querySelector(element) : element;
+        return getInstance(target, name);
+    },
+
+    /**
+     * Get a component instance, creating it if the element has none
+     */
+    getOrCreate(element, name, options = {}) {
+        const target = typeof element === 'string' ? document.querySelector(element) : element;
+        return this.registry.create(name, target, options);
+    },
+
+    /**
+     * Enumerate live component instances
+     *
+     * @param {string|null} name Limit to a component name
+     * @param {Element|Document|null} root Limit to a subtree
+     * @returns {Array} Entries of { element, name, instance }
+     */
+    instances(name = null, root = null) {
+        return getInstances(name, root);
     },
 
     /**
      * Open modal by selector
      */
     openModal(selector) {
-        const modal = document.querySelector(selector);
+        const modal = this.getOrCreate(selector, 'Modal');
         if (modal) {
-            if (!modal.modalInstance) {
-                modal.modalInstance = new Modal(modal);
-            }
-            modal.modalInstance.open();
-            return modal.modalInstance;
+            modal.open();
         }
-        return null;
+        return modal;
     },
 
     /**
      * Close modal by selector
      */
     closeModal(selector) {
-        const modal = document.querySelector(selector);
-        if (modal && modal.modalInstance) {
-            modal.modalInstance.close();
+        const modal = this.getInstance(selector, 'Modal');
+        if (modal) {
+            modal.close();
         }
     },
 
@@ -319,38 +402,40 @@ const KPF = {
      * Scroll to element
      */
     scrollTo(target, options = {}) {
-        const smoothScroll = new SmoothScroll();
-        smoothScroll.scrollTo(target, options);
+        new SmoothScroll().scrollTo(target, options);
     },
 
     /**
      * Scroll to top
      */
     scrollToTop(options = {}) {
-        const smoothScroll = new SmoothScroll();
-        smoothScroll.scrollToTop(options);
+        new SmoothScroll().scrollToTop(options);
     },
 
     /**
      * Refresh/reinitialize components
-     * Useful after dynamic content is added
+     * Content added after load is picked up automatically; this remains
+     * for subtrees that were built while detached or when observing is off
      */
-    refresh() {
-        this.init();
+    refresh(root = document) {
+        this.registry.initialize(root);
     },
 
     /**
-     * Destroy all component instances
+     * Destroy component instances
+     * Without a root everything is torn down and auto-initialization stops
+     * until init() is called again
+     *
+     * @param {Element|Document|string} root Subtree to tear down
      */
-    destroy() {
-        document.querySelectorAll('[class*="Instance"]').forEach(element => {
-            Object.keys(element).forEach(key => {
-                if (key.endsWith('Instance') && element[key] && typeof element[key].destroy === 'function') {
-                    element[key].destroy();
-                    element[key] = null;
-                }
-            });
-        });
+    destroy(root = null) {
+        const target = typeof root === 'string' ? document.querySelector(root) : root;
+
+        if (!target) {
+            this.registry.disconnect();
+        }
+
+        this.registry.teardown(target || document);
     }
 };
 